@@ -46,12 +46,47 @@ envsubst < "${WranglerTemplateFile}" > wrangler.toml
 
 # Check if WRANGLER_KV_MAP_ID is set, and exclude the KV MAP namespace configuration if not
 if [ -z "${WRANGLER_KV_MAP_ID:-}" ]; then
-    echo "⚠️ WRANGLER_KV_MAP_ID not set, excluding KV namespace configuration"
-    sed -i -e "/^kv_namespaces =/d" wrangler.toml
+    echo "⚠️ WRANGLER_KV_MAP_ID not set, excluding KV MAP namespace configuration"
+    sed -i -e '/^kv_namespaces =/s/{ binding = "MAP", id = "" }\(, \)\?//' wrangler.toml
 else
     echo "✅ Keeping KV MAP namespace configuration"
 fi
 
+# Check if WRANGLER_KV_STATE_ID is set, and exclude the KV STATE namespace configuration if not
+if [ -z "${WRANGLER_KV_STATE_ID:-}" ]; then
+    echo "⚠️ WRANGLER_KV_STATE_ID not set, excluding KV STATE namespace configuration"
+    sed -i -e '/^kv_namespaces =/s/\(, \)\?{ binding = "STATE", id = "" }//' wrangler.toml
+else
+    echo "✅ Keeping KV STATE namespace configuration"
+fi
+
+# Exclude the KV namespace configuration if no KV namespaces remain
+sed -i -e "/^kv_namespaces = \[\]/d" wrangler.toml
+
+# Check if WRANGLER_QUEUE_NAME is set, and exclude the queue configuration if not
+if [ -z "${WRANGLER_QUEUE_NAME:-}" ]; then
+    echo "⚠️ WRANGLER_QUEUE_NAME not set, excluding queue configuration"
+    sed -i -e "/^queues =/d" wrangler.toml
+else
+    echo "✅ Keeping queue configuration"
+fi
+
+# Check if WRANGLER_R2_ARCHIVE_BUCKET is set, and exclude the R2 ARCHIVE bucket configuration if not
+if [ -z "${WRANGLER_R2_ARCHIVE_BUCKET:-}" ]; then
+    echo "⚠️ WRANGLER_R2_ARCHIVE_BUCKET not set, excluding R2 ARCHIVE bucket configuration"
+    sed -i -e "/^r2_buckets =/d" wrangler.toml
+else
+    echo "✅ Keeping R2 ARCHIVE bucket configuration"
+fi
+
+# Exclude the send email configuration if neither a queue nor an archive is used
+if [ -z "${WRANGLER_QUEUE_NAME:-}" ] && [ -z "${WRANGLER_R2_ARCHIVE_BUCKET:-}" ]; then
+    echo "⚠️ Neither WRANGLER_QUEUE_NAME nor WRANGLER_R2_ARCHIVE_BUCKET set, excluding send email configuration"
+    sed -i -e "/^send_email =/d" wrangler.toml
+else
+    echo "✅ Keeping send email configuration"
+fi
+
 # Append WRANGLER_VARS_ variables in alphabetical order
 echo "📝 Appending WRANGLER_VARS_* variables..."
 GrepWranglerVars=$(env | grep '^WRANGLER_VARS_' || true)
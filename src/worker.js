@@ -38,12 +38,427 @@ export const FIXED = {
     CLOUDFLARE_FORWARDING_SAME_WORKER_ADDRESS_MESSAGE_PREFIX: `cannot forward email to same worker`,
     CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX: 'could not send email',
 
+    // Cloudflare ForwardableEmailMessage.forward() transport error message
+    // severities and SMTP reply code, e.g.
+    // 'could not send email: Unknown error: transient error (421)'
+    transportErrorSeverityRegExp: /\b(transient|permanent) error\b/i,
+    transportErrorSmtpCodeRegExp: /\(([45][0-9]{2})\)/,
+
+    // Forwarding error types classified and the actions which can be taken
+    // for each type
+    FORWARDING_ERROR_TYPES: ['configuration', 'transient', 'permanent', 'unknown'],
+    FORWARDING_ERROR_ACTIONS: ['retry', 'next-backup', 'recoverable', 'unrecoverable'],
+
+    // Prefix of the keys in the STATE store of the health of each destination
+    DESTINATION_HEALTH_KEY_PREFIX: 'health:',
+    // Prefix of the keys in the STATE store of the destinations to which each
+    // message has been delivered
+    DELIVERY_KEY_PREFIX: 'delivery:',
+    // Returns the key in the STATE store of the destinations to which a
+    // message has been delivered by an action, which is scoped to both the
+    // action and the encoded recipient as the sender chooses the Message-ID
+    deliveryKey(actionType, to, messageId) {
+        return `${FIXED.DELIVERY_KEY_PREFIX}${actionType}:${encodeURIComponent(to)}:${messageId}`;
+    },
+    // Prefixes of the keys in the ARCHIVE store of the metadata and the raw
+    // message of each archived message
+    ARCHIVE_METADATA_KEY_PREFIX: 'archive:',
+    ARCHIVE_RAW_KEY_PREFIX: 'archive-raw:',
+    // Outcomes of a message which can be archived
+    ARCHIVE_OUTCOMES: ['failed', 'rejected', 'quarantined'],
+    // Path of the HTTP API of archived messages:
+    //     '/archive', `/archive/${id}`, `/archive/${id}/raw` or
+    //     `/archive/${id}/replay`
+    archivePathRegExp: /^\/archive(?:\/([0-9a-z-]+)(?:\/(raw|replay))?)?\/?$/,
+    // Path of the HTTP API of the routing configuration:
+    //     '/config/users', `/config/users/${user}`,
+    //     `/config/users/${user}/subaddresses`,
+    //     `/config/users/${user}/subaddresses/${subaddress}`,
+    //     `/config/global/${name}` or '/config/schema'
+    configurationPathRegExp: /^\/config\/(?:users(?:\/([^/]+)(\/subaddresses(?:\/([^/]+))?)?)?|global\/([A-Z_]+)|(schema))\/?$/,
+    // Path of the HTTP API explaining the routing of a message
+    explainPathRegExp: /^\/explain\/?$/,
+    // Headers of a HTTP API request signed using the HMAC secret, and the
+    // maximum age in seconds of its timestamp
+    API_TIMESTAMP_HEADER: 'X-Timestamp',
+    API_SIGNATURE_HEADER: 'X-Signature',
+    API_SIGNATURE_MAX_AGE: 300,
+
     // Message prefixes for exception thrown:
     RECOVERABLE_FORWARD_EXCEPTION_MESSAGE_PREFIX: 'forwarding error',
 
+    // Matches a valid console output level
+    consoleOutputLevelRegExp: /^[0-5]$/,
+    // Returns the console output level, which falls back to the default
+    // level if it is not a number from 0 to 5
+    consoleOutputLevel(consoleOutputLevelText) {
+        return parseInt(FIXED.consoleOutputLevelRegExp.test(String(consoleOutputLevelText).trim())
+            ? consoleOutputLevelText
+            : DEFAULTS.CONSOLE_OUTPUT_LEVEL);
+    },
+    // Separators, and the group prefix, which must be valid and all
+    // different
+    SEPARATOR_NAMES: [
+        'FORMAT_PRIMARY_ADDRESS_SEPARATOR',
+        'FORMAT_BACKUP_ADDRESS_SEPARATOR',
+        'FORMAT_LOCAL_PART_SEPARATOR',
+        'FORMAT_REJECT_SEPARATOR',
+        'FORMAT_GROUP_PREFIX',
+        'FORMAT_RULE_SEPARATOR',
+    ],
+    // Matches each numeric configuration value, which falls back to its
+    // default if it does not match
+    NUMERIC_CONFIGURATION_REGEXPS: {
+        USER_ALIAS_MAX_DEPTH: /^[0-9]+$/,
+        GROUP_MAX_DEPTH: /^[0-9]+$/,
+        RETRY_ATTEMPTS: /^[0-9]+$/,
+        RETRY_BASE_DELAY: /^[0-9]+$/,
+        RETRY_MAX_DELAY: /^[0-9]+$/,
+        RETRY_JITTER: /^(?:0?\.[0-9]+|[01](?:\.0*)?)$/,
+        RETRY_TIME_BUDGET: /^[0-9]+$/,
+        CIRCUIT_BREAKER_FAILURE_THRESHOLD: /^[0-9]+$/,
+        CIRCUIT_BREAKER_OPEN_DURATION: /^[0-9]+$/,
+        CIRCUIT_BREAKER_SUCCESS_THRESHOLD: /^[0-9]+$/,
+        IDEMPOTENCY_TTL: /^[0-9]+$/,
+        DEFERRED_DELIVERY_MAX_ATTEMPTS: /^[0-9]+$/,
+        DEFERRED_DELIVERY_BASE_DELAY: /^[0-9]+$/,
+        DEFERRED_DELIVERY_MAX_DELAY: /^[0-9]+$/,
+        DEFERRED_DELIVERY_MAX_RAW_SIZE: /^[0-9]+$/,
+    },
+    // Returns the numeric configuration value with the name, which falls
+    // back to its default if it is invalid
+    numericConfiguration(ENVIRONMENT, name) {
+        const text = String(ENVIRONMENT[name]).trim();
+        return Number(FIXED.NUMERIC_CONFIGURATION_REGEXPS[name].test(text) ? text : DEFAULTS[name]);
+    },
+    // Regular expressions which must compile
+    REGEXP_NAMES: [
+        'FORMAT_VALID_EMAIL_ADDRESS_REGEXP',
+        'FORMAT_VALID_CUSTOM_HEADER_REGEXP',
+        'CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP',
+        'CLOUDFLARE_RETRYABLE_FORWARDING_ERROR_REGEXP',
+    ],
+    // Global address configuration validated both in the environment and,
+    // if stored address configuration is used, in the MAP
+    VALIDATED_GLOBAL_CONFIGURATION_NAMES: [
+        'DESTINATION',
+        'REJECT_TREATMENT',
+        'SUBADDRESSES',
+        'USERS',
+        'FORWARDING_POLICY',
+        'ADDITIONAL_LOCAL_PART_SEPARATORS',
+    ],
+
+    // Matches a forwarding policy capturing its type and any quorum
+    forwardingPolicyRegExp: /^(any|all|quorum)(?::([1-9][0-9]*))?$/i,
+    // Matches a compound destination prefixed by a forwarding policy in
+    // brackets capturing the forwarding policy and the compound destination
+    forwardingPolicyPrefixRegExp: /^\s*\[([^\]]*)\]([\s\S]*)$/,
+
+    // Returns the domain scopes of a domain in priority order from the
+    // domain itself to its least specific parent domain, excluding the
+    // top-level domain, e.g. 'a.example.com' => ['a.example.com', 'example.com']
+    domainScopes(domain) {
+        const labels = domain.split('.');
+        return labels.map((_, i) => labels.slice(i).join('.'))
+            .filter((scope, i) => i === 0 || scope.includes('.'));
+    },
+
+    // Returns true if the primary destination is a group reference
+    //     `${groupPrefix}${group}`
+    isGroupReference(primaryDestinationText, groupPrefix) {
+        return primaryDestinationText.trim().startsWith(groupPrefix);
+    },
+    // Returns true if a reject treatment is a reject reason rather than
+    // a compound destination
+    isRejectReason(rejectTreatment, primaryAddressSeparator, groupPrefix) {
+        return !rejectTreatment.includes('@')
+            && !rejectTreatment.split(primaryAddressSeparator)
+                .some(text => FIXED.isGroupReference(text, groupPrefix));
+    },
+
+    // Matches a backup strategy capturing its type and any head start in
+    // milliseconds
+    backupStrategyRegExp: /^(sequential|parallel|staggered)(?::([0-9]+))?$/i,
+    // Returns the forwarding error policy, mapping each error type to its
+    // action, and the invalid `{type}:{action}` entries which are ignored
+    parsedForwardingErrorPolicy(forwardingErrorPolicyText, primaryAddressSeparator) {
+        const entries = forwardingErrorPolicyText
+            .split(primaryAddressSeparator).map(s => s.trim()).filter(Boolean)
+            .map(entry => [entry, entry.split(':').map(s => s.trim().toLowerCase())]);
+        const isValidEntry = ([type, action, ...rest]) =>
+            FIXED.FORWARDING_ERROR_TYPES.includes(type)
+            && FIXED.FORWARDING_ERROR_ACTIONS.includes(action)
+            && rest.length === 0;
+        return {
+            policy: Object.fromEntries(entries
+                .map(([, typeAndAction]) => typeAndAction).filter(isValidEntry)),
+            invalidEntries: entries
+                .filter(([, typeAndAction]) => !isValidEntry(typeAndAction)).map(([entry]) => entry),
+        };
+    },
+
+    // Matches a destination template placeholder capturing its name
+    destinationPlaceholderRegExp: /\{([a-z_]+)\}/gi,
+
+    // Prefix of a stored user configuration value which is an alias for
+    // another user
+    USER_ALIAS_PREFIX: '=',
+
+    // Prefix of a denied sub-address in a set of sub-addresses
+    SUBADDRESS_DENY_PREFIX: '!',
+
+    // Prefix of the stored user configuration key for a user's rules, which
+    // begins with '@' like the keys of the global configuration so that it
+    // is neither a user nor a user pattern
+    USER_RULES_KEY_PREFIX: '@RULES@',
+
+    // Matches a stored user or sub-address configuration value which is a
+    // JSON object rather than text, which begins with '{' followed by a
+    // property name or '}' so that it is not a destination template
+    jsonConfigurationRegExp: /^\s*\{\s*["}]/,
+    // Fields of a JSON stored user configuration value which do not apply
+    // to a sub-address
+    SUBADDRESS_INAPPLICABLE_FIELDS: ['alias', 'subaddresses', 'rules'],
+    // JSON Schema of a JSON stored user or sub-address configuration value,
+    // where only the destinations, forwarding policy and reject treatment
+    // apply to a sub-address
+    USER_CONFIGURATION_SCHEMA: {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'User configuration',
+        type: 'object',
+        properties: {
+            alias: { type: 'string', minLength: 1 },
+            destinations: { $ref: '#/$defs/compoundDestination' },
+            forwardingPolicy: { $ref: '#/$defs/forwardingPolicy' },
+            rejectTreatment: {
+                anyOf: [
+                    { type: 'string', minLength: 1 },
+                    {
+                        type: 'object',
+                        properties: {
+                            destinations: { $ref: '#/$defs/compoundDestination' },
+                            forwardingPolicy: { $ref: '#/$defs/forwardingPolicy' },
+                        },
+                        required: ['destinations'],
+                        additionalProperties: false,
+                    },
+                ],
+            },
+            subaddresses: {
+                type: 'object',
+                properties: {
+                    allowed: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    denied: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    required: { type: 'boolean' },
+                },
+                additionalProperties: false,
+            },
+            rules: { type: 'array', items: { type: 'string', minLength: 1 } },
+        },
+        additionalProperties: false,
+        // A user alias replaces the whole configuration of the user
+        dependentSchemas: {
+            alias: { maxProperties: 1 },
+        },
+        $defs: {
+            // Primary destinations, each of which is either a destination or
+            // a sequence of backup destinations
+            compoundDestination: {
+                type: 'array',
+                items: {
+                    anyOf: [
+                        { type: 'string', minLength: 1 },
+                        { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+                    ],
+                },
+            },
+            // Validated by FIXED.parsedForwardingPolicy as in the text format
+            forwardingPolicy: { type: 'string', minLength: 1 },
+        },
+    },
+    // Returns the issues with a value which does not match a JSON Schema,
+    // supporting only the keywords used by USER_CONFIGURATION_SCHEMA, where
+    // each issue has the JSON Pointer path of the value and the keyword
+    schemaIssues(value, schema, rootSchema = schema, path = '') {
+        if (schema.$ref !== undefined)
+            return FIXED.schemaIssues(value,
+                schema.$ref.split('/').slice(1).reduce((s, name) => s[name], rootSchema),
+                rootSchema, path);
+        const issue = (keyword, details = {}) =>
+            [{ issue: 'does not match schema', path: path, keyword: keyword, ...details }];
+        if (schema.anyOf !== undefined)
+            return schema.anyOf.some(
+                subschema => FIXED.schemaIssues(value, subschema, rootSchema, path).length === 0)
+                ? []
+                : issue('anyOf');
+        const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+        if (schema.type !== undefined && type !== schema.type)
+            return issue('type', { expected: schema.type });
+        if (type === 'string')
+            return [
+                ...(value.length < (schema.minLength ?? 0) ? issue('minLength') : []),
+                ...(schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)
+                    ? issue('pattern', { pattern: schema.pattern })
+                    : []),
+            ];
+        if (type === 'array')
+            return [
+                ...(value.length < (schema.minItems ?? 0) ? issue('minItems') : []),
+                ...(schema.items !== undefined
+                    ? value.flatMap((item, i) =>
+                        FIXED.schemaIssues(item, schema.items, rootSchema, `${path}/${i}`))
+                    : []),
+            ];
+        if (type === 'object')
+            return [
+                ...(schema.required ?? []).filter(name => !Object.hasOwn(value, name))
+                    .flatMap(name => issue('required', { property: name })),
+                ...(Object.keys(value).length > (schema.maxProperties ?? Infinity)
+                    ? issue('maxProperties', { properties: Object.keys(value) })
+                    : []),
+                ...Object.entries(schema.dependentSchemas ?? {})
+                    .filter(([name]) => Object.hasOwn(value, name))
+                    .flatMap(([, subschema]) => FIXED.schemaIssues(value, subschema, rootSchema, path)),
+                ...Object.entries(value).flatMap(([name, propertyValue]) =>
+                    Object.hasOwn(schema.properties ?? {}, name)
+                        ? FIXED.schemaIssues(propertyValue, schema.properties[name],
+                            rootSchema, `${path}/${name}`)
+                        : schema.additionalProperties === false
+                            ? issue('additionalProperties', { property: name })
+                            : []),
+            ];
+        return [];
+    },
+    // Separates a rule's condition from its outcome
+    RULE_OUTCOME_SEPARATOR: '=>',
+
+    // Days of the week in the order of Date.getDay()
+    SCHEDULE_DAYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    // Matches a schedule term which is a comma-separated list of days or
+    // day ranges, e.g. 'mon-fri,sun'
+    scheduleDaysRegExp: /^(?:(?:sun|mon|tue|wed|thu|fri|sat)(?:-(?:sun|mon|tue|wed|thu|fri|sat))?(?:,|$))+$/i,
+    // Matches a schedule term which is a comma-separated list of dates or
+    // date ranges, e.g. '2024-12-24..2024-12-26,2025-01-01'
+    scheduleDatesRegExp: /^(?:\d{4}-\d{2}-\d{2}(?:\.\.\d{4}-\d{2}-\d{2})?(?:,|$))+$/,
+    // Matches a schedule term which is a time range capturing its start
+    // and end, e.g. '09:00-17:30'
+    scheduleTimesRegExp: /^(\d{2}:\d{2})-(\d{2}:\d{2})$/,
+
     // Matches if starts with a non-alphanumeric
     startsWithNonAlphanumericRegExp: /^[^A-Z0-9]/i,
 
+    // Matches a pattern which is a regular expression delimited by '/'
+    // capturing the regular expression
+    regExpPatternRegExp: /^\/(.*)\/$/,
+    // Matches a pattern which is a glob containing either '*' or '?'
+    globPatternRegExp: /[*?]/,
+
+    // Returns true if the text is a pattern rather than a literal
+    isPattern(text) {
+        return FIXED.regExpPatternRegExp.test(text)
+            || FIXED.globPatternRegExp.test(text);
+    },
+    // Returns an anchored case-insensitive regular expression for a pattern
+    // which is either:
+    // - a regular expression delimited by '/', e.g. '/sales-[0-9]+/', or
+    // - a glob where '*' matches any sequence of characters and '?' matches
+    //   any single character, e.g. 'sales-*'
+    // Throws a SyntaxError if the regular expression is invalid
+    patternRegExp(pattern) {
+        const regExpPattern = pattern.match(FIXED.regExpPatternRegExp)?.at(1);
+        const source = regExpPattern
+            ?? pattern.split('*').map(
+                part => part.split('?').map(escape).join('.')
+            ).join('.*');
+        return new RegExp(`^(?:${source})$`, 'i');
+    },
+
+    // Matches a quoted local part (RFC 5322), which may contain UTF-8
+    // characters (RFC 6531), capturing its content
+    quotedLocalPartRegExp: /^"((?:[^"\\\r\n]|\\[^\r\n])*)"$/,
+    // Matches a non-ASCII character
+    nonAsciiCharacterRegExp: /[^\x00-\x7F]/gu,
+    // Matches a domain without any characters which cannot be in a host name
+    validDomainCharactersRegExp: /^[^\s/?#:@%[\]\\]+$/,
+
+    // Returns the local part and domain of an address, which are separated
+    // by its last '@' as a quoted local part may itself contain '@'
+    addressParts(address) {
+        const atIndex = address.lastIndexOf('@');
+        return atIndex >= 0
+            ? [address.slice(0, atIndex), address.slice(atIndex + 1)]
+            : [address, ''];
+    },
+    // Returns the content of a quoted local part with each quoted-pair
+    // unescaped, or otherwise the local part as is
+    unquotedLocalPart(localPart) {
+        return localPart.match(FIXED.quotedLocalPartRegExp)
+            ?.at(1).replace(/\\(.)/g, '$1')
+            ?? localPart;
+    },
+    // Returns the ASCII equivalent of a domain in lower case, where an
+    // internationalized domain is converted to punycode, e.g.
+    // 'Bücher.example' => 'xn--bcher-kva.example', or undefined if the
+    // domain is not valid
+    asciiDomain(domain) {
+        if (!FIXED.validDomainCharactersRegExp.test(domain))
+            return undefined;
+        try {
+            return new URL(`http://${domain}`).hostname;
+        } catch {
+            return undefined;
+        }
+    },
+
+    // Returns the forwarding policy with the syntax:
+    //     'any', 'all' or `quorum:${quorum}`
+    // or undefined if invalidly formatted
+    parsedForwardingPolicy(forwardingPolicyText) {
+        const [, type, quorum] = forwardingPolicyText.replace(/\s/g, '')
+            .match(FIXED.forwardingPolicyRegExp) ?? [];
+        return (type?.toLowerCase() === 'quorum') === (quorum !== undefined)
+            ? type && { type: type.toLowerCase(), quorum: quorum && parseInt(quorum) }
+            : undefined;
+    },
+
+    // Returns the headers of a raw email message, unfolding folded header
+    // lines and ignoring any invalid header
+    rawHeaders(raw) {
+        const headers = new Headers();
+        const headerSection = raw.split(/\r?\n\r?\n/, 1)[0];
+        for (const line of headerSection.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+            const separatorIndex = line.indexOf(':');
+            if (separatorIndex <= 0)
+                continue;
+            try {
+                headers.append(line.slice(0, separatorIndex).trim(), line.slice(separatorIndex + 1).trim());
+            } catch {
+                // Ignore invalid headers
+            }
+        }
+        return headers;
+    },
+
+    // Returns a local part, or the user or sub-address within it, normalized
+    // by optionally:
+    // - applying Unicode NFKC normalization if unicode is true
+    // - removing all dots if ignoreDots is true
+    // and then converting to lower case, using Unicode case folding if
+    // unicode is true, unless preserveCase is true
+    normalizedLocalPart(localPart, { unicode = false, ignoreDots = false, preserveCase = false } = {}) {
+        const unicodeNormalizedLocalPart =
+            unicode ? localPart.normalize('NFKC') : localPart;
+        const dotlessLocalPart = ignoreDots
+            ? unicodeNormalizedLocalPart.replaceAll('.', '')
+            : unicodeNormalizedLocalPart;
+        return preserveCase
+            ? dotlessLocalPart
+            : unicode
+                ? dotlessLocalPart.toUpperCase().toLowerCase()
+                : dotlessLocalPart.toLowerCase();
+    },
+
     // Prepends to the base with prepend if the regexp matches
     prepend(base, prependConditions) {
         for (const prependCondition of prependConditions) {
@@ -60,20 +475,48 @@ export const FIXED = {
 };
 
 class PrimaryDestinationResult {
-    constructor(wasSuccessful, hadRecoverableError, successfulDestination, errorMessages, errors) {
+    constructor(wasSuccessful, hadRecoverableError, successfulDestination, errorMessages, errors,
+        classifiedErrors = []) {
         this.wasSuccessful = wasSuccessful;
         this.hadRecoverableError = hadRecoverableError;
         this.successfulDestination = successfulDestination;
         this.errorMessages = errorMessages;
         this.errors = errors;
+        this.classifiedErrors = classifiedErrors;
     }
 };
 
 class RecoverableForwardError extends Error {
-    constructor(errors) {
+    constructor(errors, classifiedErrors = [], undelivered = null) {
         super(FIXED.RECOVERABLE_FORWARD_EXCEPTION_MESSAGE_PREFIX + ": (" + errors.map(e => `"${e.message}"`).join(', ') + ")");
         this.name = 'RecoverableForwardError';
         this.errors = errors;
+        this.classifiedErrors = classifiedErrors;
+        // The primary destinations not delivered to and the forwarding
+        // policy to apply to them when forwarding is retried
+        this.undelivered = undelivered;
+    }
+};
+
+// Thrown when resolving the routing of a message needs stored
+// configuration values which have not been loaded into the configuration
+// snapshot, with the keys of all those values needed so far, which tools
+// resolving routing plans themselves can load before resolving again
+export class StoredConfigurationNotLoaded extends Error {
+    constructor(keys) {
+        super(`Stored configuration not loaded: ${keys.join(', ')}`);
+        this.name = 'StoredConfigurationNotLoaded';
+        this.keys = keys;
+    }
+};
+
+// Thrown when a message cannot be routed safely because the configuration
+// has issues with the severity 'error'
+class InvalidConfiguration extends Error {
+    constructor(issues) {
+        super(`Invalid configuration: ${issues.map(issue => issue.issue).join(', ')}`);
+        this.name = 'InvalidConfiguration';
+        this.issues = issues;
     }
 };
 
@@ -85,6 +528,7 @@ export const DEFAULTS = {
     // The level is a number from 0 to 5
     // where 0 is no logging and 5 is debug level logging.
     // 0 = none, 1 = error, 2 = warn, 3 = info, 4 = log, 5 = debug
+    // Any other level falls back to this default.
     CONSOLE_OUTPUT_LEVEL: "2",
 
     // Control whether different categories of stored configuration will be
@@ -92,6 +536,14 @@ export const DEFAULTS = {
     //
     USE_STORED_ADDRESS_CONFIGURATION: "false",
     USE_STORED_USER_CONFIGURATION: "true",
+    // Groups are only loaded if referenced in a destination
+    USE_STORED_GROUP_CONFIGURATION: "true",
+
+    // Control whether stored and environment configuration scoped to the
+    // message's domain, and to each of its parent domains, will be loaded
+    // in preference to the global (unscoped) configuration
+    //
+    USE_DOMAIN_SCOPED_CONFIGURATION: "false",
 
     ///////////////////////////////////////////////////////////////////////////
     // Overrideable by stored and environment configuration
@@ -104,7 +556,22 @@ export const DEFAULTS = {
     DESTINATION: "",
     REJECT_TREATMENT: "Address does not exist",
     SUBADDRESSES: "*",
+    // Reject treatment for a denied sub-address, where the empty string
+    // indicates the user's reject treatment should be used
+    SUBADDRESS_DENY_REJECT_TREATMENT: "",
     USERS: "",
+    // Global rules which apply after any user rules
+    RULES: "",
+    // Forwarding policy for a compound destination which is not prefixed by
+    // its own forwarding policy, and which is one of 'any', 'all' or
+    // 'quorum:N'
+    FORWARDING_POLICY: "any",
+    // Sub-address separators accepted in addition to
+    // FORMAT_LOCAL_PART_SEPARATOR when parsing an email address
+    ADDITIONAL_LOCAL_PART_SEPARATORS: "",
+    // Local-part normalizations in addition to converting to lower case,
+    // which are any of 'unicode', 'ignore-dots' and 'preserve-case'
+    LOCAL_PART_NORMALIZATION: "",
 
     ///////////////////////////////////////////////////////////////////////////
     // Overrideable only by environment configuration
@@ -121,18 +588,34 @@ export const DEFAULTS = {
     //     - one of the special characters '"(),:;<>[\]'
     // which are not allowed in the unquoted local-part of an email address.
     // See [Email address - Wikipedia](https://en.wikipedia.org/wiki/Email_address#Local-part).
-    // Quoted local-parts in email addresses are not supported here as it would
-    // add complexity and as they are used infrequently not many systems support
-    // them in any case.
+    // Quoted local-parts are supported in email addresses, but not in
+    // destinations if they contain any of the above separators, as they are
+    // used infrequently and not many systems support them in any case.
     //
     FORMAT_PRIMARY_ADDRESS_SEPARATOR: ",",
     FORMAT_BACKUP_ADDRESS_SEPARATOR: ":",
     FORMAT_LOCAL_PART_SEPARATOR: "+",
     FORMAT_REJECT_SEPARATOR: ";",
+    // Prefix of a group which can be referenced as a primary destination
+    // in any destination or reject treatment
+    FORMAT_GROUP_PREFIX: "%",
+    // Separates the rules in a set of rules
+    FORMAT_RULE_SEPARATOR: "\n",
     FORMAT_VALID_CUSTOM_HEADER_REGEXP: "X-.*",
     // Source: [HTML Standard](https://html.spec.whatwg.org/multipage/input.html#input.email.attrs.value.multiple)
     FORMAT_VALID_EMAIL_ADDRESS_REGEXP: "^[a-zA-Z0-9.!#$%&’*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$",
 
+    // User alias configuration
+    // The maximum number of aliases followed when resolving a chain of user
+    // aliases
+    //
+    USER_ALIAS_MAX_DEPTH: "5",
+
+    // Group configuration
+    // The maximum depth of groups referenced within groups
+    //
+    GROUP_MAX_DEPTH: "5",
+
     // Custom header configuration
     //
     CUSTOM_HEADER: "X-My-Email-Forwarding",
@@ -143,24 +626,159 @@ export const DEFAULTS = {
     //
     CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: ".*",
 
+    // The action taken for each type of forwarding error classified by
+    // classifyForwardingError, as a list of `{type}:{action}` entries where
+    // type is one of FIXED.FORWARDING_ERROR_TYPES and action is one of
+    // - 'retry': retry the same backup destination as configured by the
+    //   retry configuration, and then treat as 'recoverable'
+    // - 'next-backup': attempt the next backup destination
+    // - 'recoverable': attempt the next backup destination, and if every
+    //   backup destination fails then the failure is recoverable
+    // - 'unrecoverable': attempt no further backup destinations
+    // Errors of types without an entry are retried if they match
+    // CLOUDFLARE_RETRYABLE_FORWARDING_ERROR_REGEXP and are recoverable if
+    // they match CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP, and
+    // otherwise are treated as 'next-backup'.
+    //
+    FORWARDING_ERROR_POLICY: "",
+
+    // Forwarding configuration
+    // The strategy for attempting to forward to the backup destinations of
+    // a primary destination, which is one of
+    // - 'sequential': each after the previous one failed
+    // - 'parallel': all simultaneously
+    // - 'staggered:N': each after the previous one failed or N milliseconds
+    //   after the previous one was attempted, whichever is sooner
+    //
+    BACKUP_STRATEGY: "sequential",
+
+    // Retry configuration
+    // The maximum number of times forwarding to a backup destination is
+    // retried after an error matching
+    // CLOUDFLARE_RETRYABLE_FORWARDING_ERROR_REGEXP, by default none.
+    // The delay before each retry doubles from RETRY_BASE_DELAY up to
+    // RETRY_MAX_DELAY milliseconds and is randomly reduced by up to the
+    // RETRY_JITTER fraction of it. A retry is not attempted if its delay
+    // would end more than RETRY_TIME_BUDGET milliseconds after the email
+    // was received, or after a deferred delivery or a replayed archived
+    // message started forwarding.
+    //
+    RETRY_ATTEMPTS: "0",
+    RETRY_BASE_DELAY: "500",
+    RETRY_MAX_DELAY: "4000",
+    RETRY_JITTER: "0.5",
+    RETRY_TIME_BUDGET: "10000",
+    CLOUDFLARE_RETRYABLE_FORWARDING_ERROR_REGEXP: "^could not send email: Unknown error: transient error",
+
+    // Circuit breaker configuration
+    // Only used if the STATE store is bound, when the circuit of a backup
+    // destination opens after CIRCUIT_BREAKER_FAILURE_THRESHOLD consecutive
+    // failures to forward to it, so that it is skipped for
+    // CIRCUIT_BREAKER_OPEN_DURATION milliseconds. The circuit is then
+    // half-open, so that the destination is attempted again, with the
+    // circuit reopening on failure or closing after
+    // CIRCUIT_BREAKER_SUCCESS_THRESHOLD consecutive successes.
+    // A circuit breaker failure threshold of 0 disables the circuit breaker.
+    //
+    CIRCUIT_BREAKER_FAILURE_THRESHOLD: "5",
+    CIRCUIT_BREAKER_OPEN_DURATION: "300000",
+    CIRCUIT_BREAKER_SUCCESS_THRESHOLD: "1",
+
+    // Idempotency configuration
+    // Only used if the STATE store is bound, when the destinations to which
+    // a message was delivered are stored for IDEMPOTENCY_TTL seconds (at
+    // least 60) by its Message-ID if forwarding had a recoverable error, so
+    // that when the sender retries only the primary destinations not
+    // delivered to are attempted again. An idempotency TTL of 0 disables
+    // this.
+    //
+    IDEMPOTENCY_TTL: "86400",
+
+    // Deferred delivery configuration
+    // If true and both the QUEUE and SEND_EMAIL are bound, then instead of throwing to have the
+    // sender retry, forwarding which failed with a recoverable error is
+    // deferred by sending the raw message and its undelivered destinations
+    // to the QUEUE. Its queue() handler retries forwarding using the
+    // SEND_EMAIL binding up to DEFERRED_DELIVERY_MAX_ATTEMPTS times, with the
+    // delay before each attempt doubling from DEFERRED_DELIVERY_BASE_DELAY up
+    // to DEFERRED_DELIVERY_MAX_DELAY seconds, and finally applies the reject
+    // treatment by reject forwarding, or otherwise sends an alert to the
+    // ALERT_DESTINATION if any. Messages larger than
+    // DEFERRED_DELIVERY_MAX_RAW_SIZE bytes are not deferred as they exceed
+    // the queue's message size limit.
+    //
+    DEFERRED_DELIVERY: "false",
+    DEFERRED_DELIVERY_MAX_ATTEMPTS: "5",
+    DEFERRED_DELIVERY_BASE_DELAY: "60",
+    DEFERRED_DELIVERY_MAX_DELAY: "3600",
+    DEFERRED_DELIVERY_MAX_RAW_SIZE: "100000",
+    ALERT_DESTINATION: "",
+
+    // Archive configuration
+    // Only used if the ARCHIVE store is bound, when the raw message and its
+    // routing are archived for each of the ARCHIVE_OUTCOMES, which are comma
+    // separated and any of:
+    // - 'failed': forwarding failed and the message was direct rejected, or
+    //   its deferred delivery was abandoned
+    // - 'rejected': the message was direct rejected without forwarding
+    // - 'quarantined': the message was reject forwarded
+    // Archived messages are listed, downloaded, replayed and deleted using
+    // the HTTP API of the fetch() handler.
+    //
+    ARCHIVE_OUTCOMES: "failed",
+
+    // HTTP API configuration
+    // The HTTP API of the fetch() handler, which manages archived messages
+    // and the routing configuration in the MAP, is only enabled if either
+    // API_TOKEN or API_HMAC_SECRET is set. Requests must then either include
+    // the API_TOKEN as a bearer token, or be signed using the
+    // API_HMAC_SECRET.
+    //
+    API_TOKEN: "",
+    API_HMAC_SECRET: "",
+
     // Cloudflare KV key-value store
     MAP: new Map(),
+    // Cloudflare KV key-value store, or any store with the same get(key) and
+    // put(key, value) methods, of the health of each destination
+    STATE: null,
+    // Cloudflare Queues producer, or any queue with the same send(body,
+    // options) method, of deferred deliveries
+    QUEUE: null,
+    // Cloudflare send email binding used for deferred deliveries, alerts and
+    // replaying archived messages
+    SEND_EMAIL: null,
+    // Cloudflare R2 bucket or KV key-value store, or any store with the same
+    // get(key, options), put(key, value), list(options) and delete(key)
+    // methods, of archived messages
+    ARCHIVE: null,
 
     ////////////////////////////////////////////////////////////////////////////
     // Overrideable implementation methods
 
     // Returns the user and sub-address parts of the local address
-    // in lower case
-    addressLocalParts(localPart, formatLocalPartSeparator) {
-        // 1. Convert to lower case
-        // 2. Split this on first instance of formatLocalPartSeparator only
-        // into a 2 element array
-        const lowerCaseLocalPart = localPart.toLowerCase();
-        const firstLocalPartSeparatorIndex = lowerCaseLocalPart.indexOf(formatLocalPartSeparator);
-        return firstLocalPartSeparatorIndex >= 0
-            ? [lowerCaseLocalPart.slice(0, firstLocalPartSeparatorIndex),
-            lowerCaseLocalPart.slice(firstLocalPartSeparatorIndex + formatLocalPartSeparator.length)]
-            : [lowerCaseLocalPart, ''];
+    // normalized, by default to lower case
+    addressLocalParts(localPart, formatLocalPartSeparators, localPartNormalization = {}) {
+        // 1. Unquote if quoted
+        // 2. Split on the first instance of any of formatLocalPartSeparators
+        // only into a 2 element array
+        // 3. Normalize each part, except that dots are only ignored in the
+        // user part
+        const unquotedLocalPart = FIXED.unquotedLocalPart(localPart);
+        const [user, subaddress] = [formatLocalPartSeparators].flat().reduce(
+            (localParts, formatLocalPartSeparator) => {
+                const localPartSeparatorIndex = unquotedLocalPart.indexOf(formatLocalPartSeparator);
+                return localPartSeparatorIndex >= 0
+                    && localPartSeparatorIndex < localParts[0].length
+                    ? [unquotedLocalPart.slice(0, localPartSeparatorIndex),
+                    unquotedLocalPart.slice(localPartSeparatorIndex + formatLocalPartSeparator.length)]
+                    : localParts;
+            },
+            [unquotedLocalPart, '']);
+        return [
+            FIXED.normalizedLocalPart(user, localPartNormalization),
+            FIXED.normalizedLocalPart(subaddress, { ...localPartNormalization, ignoreDots: false }),
+        ];
     },
     // Returns a description of a message 
     emailImage(message) {
@@ -203,85 +821,319 @@ export const DEFAULTS = {
         }
     },
     // Forward to a primaryDestination by attempting to forward to
-    // each included backupDestination sequentially the forward is successful.
+    // each included backupDestination until the forward is successful,
+    // according to the backup strategy where each backupDestination is
+    // attempted after the previous one failed or its head start elapsed,
+    // whichever is sooner, and where the head start is
+    // - infinite for the 'sequential' strategy
+    // - 0 for the 'parallel' strategy
+    // - N milliseconds for the 'staggered:N' strategy
     // Implementation exceptions are not propagated but aggregated as a 
     // PrimaryDestinationResult which aggregates the results of all forwards
     // attempted.
     async forwardToPrimaryDestination(
         message, primaryDestination, primaryDestinationId, customHeaders, emailImage, configuration) {
-        let s = 0;
-        let wasSuccessful = false;
+        let successfulDestination = null;
         let hadRecoverableError = false;
         let errorMessages = [];
         let errors = [];
-        for (const backupDestination of primaryDestination) {
-            const backupDestinationId = s + 1;
-            const log = (wasSuccessful, errorMessage) => {
+        let classifiedErrors = [];
+        let shouldAttemptNextBackup = true;
+        const circuitBreaker = configuration.circuitBreaker ?? null;
+        const backupStrategy = configuration.backupStrategy ?? { type: 'sequential', headStart: Infinity };
+        const retry = configuration.retry ?? { attempts: 0 };
+        const forwardingErrorPolicy = configuration.forwardingErrorPolicy ?? {};
+        // Returns the action for the error given its classification, where
+        // 'retry' is only returned while retries are still to be attempted
+        const forwardingErrorAction = (error, classification, canRetry) => {
+            const policyAction = forwardingErrorPolicy[classification.type];
+            if (policyAction !== undefined)
+                return policyAction === 'retry' && !canRetry ? 'recoverable' : policyAction;
+            if (canRetry && retry.errorRegExp?.test(error.message))
+                return 'retry';
+            return configuration.recoverableForwardImplementationErrorRegExp.test(error.message)
+                ? 'recoverable'
+                : 'next-backup';
+        };
+        // Returns the delay in milliseconds before retrying after the attempt
+        // failed, or null if it should not be retried
+        const retryDelay = (attempt) => {
+            if (attempt > retry.attempts)
+                return null;
+            const delay = Math.round(
+                Math.min(retry.maxDelay, retry.baseDelay * 2 ** (attempt - 1))
+                * (1 - retry.jitter * configuration.random()));
+            return configuration.now().getTime() + delay <= retry.deadline ? delay : null;
+        };
+        // Returns the state of the circuit of a destination with the health,
+        // which is one of 'closed', 'open' or 'half-open'
+        const circuitState = (health) => health.openedAt === null
+            ? 'closed'
+            : configuration.now().getTime() < health.openedAt + circuitBreaker.openDuration
+                ? 'open'
+                : 'half-open';
+        // Returns the health of the destination from the STATE store, or null
+        // if the circuit breaker is disabled
+        const loadDestinationHealth = async (destination) => {
+            if (circuitBreaker === null)
+                return null;
+            const health = { failures: 0, successes: 0, openedAt: null };
+            try {
+                const storedHealth = await circuitBreaker.state.get(
+                    `${FIXED.DESTINATION_HEALTH_KEY_PREFIX}${destination}`);
+                return { ...health, ...JSON.parse(storedHealth ?? '{}') };
+            } catch (error) {
+                configuration.consoleOutput({
+                    email: emailImage,
+                    issue: 'destination health not loaded',
+                    destination: destination,
+                    errorMessage: error.message,
+                }, 'warn', configuration);
+                return health;
+            }
+        };
+        // Records the result of forwarding to the destination in its health,
+        // storing it only if it changed and logging if its circuit opened or
+        // closed
+        const recordDestinationHealth = async (destination, health, wasSuccessful) => {
+            if (health === null)
+                return;
+            const state = circuitState(health);
+            const failures = wasSuccessful ? 0 : health.failures + 1;
+            const successes = wasSuccessful && state !== 'closed' ? health.successes + 1 : 0;
+            const shouldOpen = !wasSuccessful
+                && (state !== 'closed' || failures >= circuitBreaker.failureThreshold);
+            const shouldClose = wasSuccessful
+                && state !== 'closed' && successes >= circuitBreaker.successThreshold;
+            const updatedHealth = {
+                failures: failures,
+                successes: shouldClose ? 0 : successes,
+                openedAt: shouldOpen
+                    ? configuration.now().getTime()
+                    : shouldClose ? null : health.openedAt,
+            };
+            if (JSON.stringify(updatedHealth) === JSON.stringify(health))
+                return;
+            if ((shouldOpen && state !== 'open') || shouldClose)
+                configuration.consoleOutput({
+                    email: emailImage,
+                    action: shouldOpen ? 'CircuitOpened' : 'CircuitClosed',
+                    destination: destination,
+                    failures: shouldOpen ? failures : health.failures,
+                    successes: successes,
+                }, shouldOpen ? 'warn' : 'info', configuration);
+            try {
+                await circuitBreaker.state.put(
+                    `${FIXED.DESTINATION_HEALTH_KEY_PREFIX}${destination}`,
+                    JSON.stringify(updatedHealth));
+            } catch (error) {
+                configuration.consoleOutput({
+                    email: emailImage,
+                    issue: 'destination health not stored',
+                    destination: destination,
+                    errorMessage: error.message,
+                }, 'warn', configuration);
+            }
+        };
+        // Returns true if forwarding to the backupDestination was successful,
+        // including if it failed because the message was already delivered
+        // to it and idempotency is enabled
+        const forwardToBackupDestination = async (backupDestination, backupDestinationId, health) => {
+            const log = (attempt, wasSuccessful, errorMessage, errorClassification = null) => {
                 configuration.consoleOutput({
                     email: emailImage,
                     action: 'SimpleForward',
                     primaryDestinationId: primaryDestinationId,
                     backupDestinationId: backupDestinationId,
                     backupDestination: backupDestination,
+                    backupStrategy: backupStrategy.type,
+                    attempt: attempt,
                     wasSuccessful: wasSuccessful,
                     errorMessage: errorMessage,
+                    errorClassification: errorClassification,
                 }, (wasSuccessful ? 'log' : 'error'), configuration);
             };
-            try {
-                await message.forward(backupDestination, customHeaders);
-                wasSuccessful = true;
-                log(wasSuccessful, null);
-                break;
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    await message.forward(backupDestination, customHeaders);
+                    successfulDestination ??= backupDestination;
+                    log(attempt, true, null);
+                    await recordDestinationHealth(backupDestination, health, true);
+                    return true;
+                }
+                catch (error) {
+                    const classification = configuration.classifyForwardingError(error);
+                    if (configuration.idempotency && classification.reason === 'duplicate address') {
+                        successfulDestination ??= backupDestination;
+                        log(attempt, true, error.message);
+                        await recordDestinationHealth(backupDestination, health, true);
+                        return true;
+                    }
+                    const delay = retryDelay(attempt);
+                    const errorAction = forwardingErrorAction(error, classification, delay !== null);
+                    log(attempt, false, error.message, { ...classification, action: errorAction });
+                    if (errorAction === 'retry') {
+                        configuration.consoleOutput({
+                            email: emailImage,
+                            action: 'RetryForward',
+                            primaryDestinationId: primaryDestinationId,
+                            backupDestinationId: backupDestinationId,
+                            backupDestination: backupDestination,
+                            attempt: attempt + 1,
+                            delay: delay,
+                            errorMessage: error.message,
+                        }, 'warn', configuration);
+                        await configuration.sleep(delay);
+                        continue;
+                    }
+                    // Only the error of the final attempt is aggregated
+                    errorMessages.push({
+                        primaryDestinationId: primaryDestinationId,
+                        backupDestinationId: backupDestinationId,
+                        backupDestination: backupDestination,
+                        errorMessage: error.message
+                    });
+                    errors.push(error);
+                    classifiedErrors.push({
+                        primaryDestinationId: primaryDestinationId,
+                        backupDestinationId: backupDestinationId,
+                        backupDestination: backupDestination,
+                        ...classification,
+                        action: errorAction,
+                    });
+                    if (errorAction === 'recoverable') {
+                        hadRecoverableError = true;
+                    } else if (errorAction === 'unrecoverable') {
+                        shouldAttemptNextBackup = false;
+                    }
+                    await recordDestinationHealth(backupDestination, health, false);
+                    return false;
+                }
             }
-            catch (error) {
-                log(wasSuccessful, error.message);
-                errorMessages.push({
+        };
+        // Backup destinations with open circuits are skipped, unless every
+        // backup destination has an open circuit
+        const healths = await Promise.all(primaryDestination.map(loadDestinationHealth));
+        const circuitStates = healths.map(health => health && circuitState(health));
+        const shouldSkipOpenCircuits = circuitStates.some(state => state !== 'open');
+        const forwards = [];
+        for (const [s, backupDestination] of primaryDestination.entries()) {
+            if (shouldSkipOpenCircuits && circuitStates[s] === 'open') {
+                configuration.consoleOutput({
+                    email: emailImage,
+                    action: 'SkipForward',
                     primaryDestinationId: primaryDestinationId,
-                    backupDestinationId: backupDestinationId,
+                    backupDestinationId: s + 1,
                     backupDestination: backupDestination,
-                    errorMessage: error.message
-                });
-                errors.push(error);
-                if (configuration.recoverableForwardImplementationErrorRegExp.test(error.message)) {
-                    hadRecoverableError = true;
-                }
+                    reason: 'circuit open',
+                }, 'log', configuration);
+                continue;
             }
-            s++;
+            const forward = forwardToBackupDestination(backupDestination, s + 1, healths[s]);
+            forwards.push(forward);
+            const wasSuccessful = backupStrategy.headStart === 0
+                ? false
+                : backupStrategy.headStart === Infinity
+                    ? await forward
+                    : await Promise.race([
+                        forward,
+                        configuration.sleep(backupStrategy.headStart).then(() => false),
+                    ]);
+            if (wasSuccessful || successfulDestination !== null || !shouldAttemptNextBackup)
+                break;
         }
+        await Promise.all(forwards);
+        const wasSuccessful = successfulDestination !== null;
         return new PrimaryDestinationResult(
             wasSuccessful,
             hadRecoverableError,
-            wasSuccessful ? primaryDestination.at(s) : null,
+            successfulDestination,
             errorMessages,
             errors,
+            classifiedErrors,
         );
     },
     // Forwards to a compoundDestination which is an array of zero or more primary
     // destinations, by simultaneously forwarding to each primary destination.
+    // The forwarding policy determines the number of primary destinations
+    // to which forwarding must succeed, which is either:
+    // - 'any': at least one
+    // - 'all': every one
+    // - 'quorum': at least forwardingPolicy.quorum
+    // Primary destinations to which the message was already delivered, as
+    // stored by its Message-ID when idempotency is enabled, are skipped
+    // and are successful.
     // Throws if at least one primary destination had a recoverable error
-    // and was not otherwise successful.
-    // Otherwise returns successful, which is true if forwarding succeeded to at
-    // least one primary destination.
-    async forwardToCompoundDestination(message, actionType, compoundDestination, customHeaders, emailImage, configuration) {
+    // and was not otherwise successful, unless the policy is 'quorum' and
+    // the quorum was reached, after storing the destinations delivered to
+    // when idempotency is enabled.
+    // Otherwise returns successful, which is true if forwarding succeeded
+    // according to the forwarding policy.
+    async forwardToCompoundDestination(message, actionType, compoundDestination, customHeaders, emailImage, configuration,
+        forwardingPolicy = { type: 'any' }) {
+        const idempotency = configuration.idempotency ?? null;
+        const messageId = message.headers.get('Message-ID');
+        const deliveryKey = idempotency !== null && messageId
+            ? FIXED.deliveryKey(actionType, message.to, messageId)
+            : null;
+        // Returns the destinations to which the message was delivered
+        const loadDeliveredDestinations = async () => {
+            try {
+                return JSON.parse(await idempotency.state.get(deliveryKey) ?? '[]');
+            } catch (error) {
+                configuration.consoleOutput({
+                    email: emailImage,
+                    issue: 'delivered destinations not loaded',
+                    errorMessage: error.message,
+                }, 'warn', configuration);
+                return [];
+            }
+        };
+        const deliveredDestinations = deliveryKey !== null
+            ? await loadDeliveredDestinations()
+            : [];
         const primaryDestinationResults = await Promise.all(
-            compoundDestination.map((primaryDestination, primaryDestinationIndex) =>
-                configuration.forwardToPrimaryDestination(
+            compoundDestination.map((primaryDestination, primaryDestinationIndex) => {
+                const deliveredDestination = primaryDestination
+                    .find(backupDestination => deliveredDestinations.includes(backupDestination));
+                if (deliveredDestination !== undefined) {
+                    configuration.consoleOutput({
+                        email: emailImage,
+                        action: 'SkipForward',
+                        primaryDestinationId: primaryDestinationIndex + 1,
+                        backupDestinationId: primaryDestination.indexOf(deliveredDestination) + 1,
+                        backupDestination: deliveredDestination,
+                        reason: 'already delivered',
+                    }, 'log', configuration);
+                    return new PrimaryDestinationResult(true, false, deliveredDestination, [], []);
+                }
+                return configuration.forwardToPrimaryDestination(
                     message, primaryDestination,
                     primaryDestinationIndex + 1,
-                    customHeaders, emailImage, configuration)
-            ));
+                    customHeaders, emailImage, configuration);
+            }));
+        const successfulCount = primaryDestinationResults
+            .filter(result => result.wasSuccessful).length;
+        const requiredSuccessfulCount = {
+            any: 1,
+            all: compoundDestination.length,
+            quorum: forwardingPolicy.quorum,
+        }[forwardingPolicy.type];
+        const forwardingPolicyWasSatisfied = successfulCount > 0
+            && successfulCount >= requiredSuccessfulCount;
         const hadRecoverableError
-            = primaryDestinationResults.map(
-                result => (!result.wasSuccessful && result.hadRecoverableError)).some(Boolean);
-        const wasSuccessful = !hadRecoverableError
+            = !(forwardingPolicy.type === 'quorum' && forwardingPolicyWasSatisfied)
             && primaryDestinationResults.map(
-                result => result.wasSuccessful).some(Boolean);
+                result => (!result.wasSuccessful && result.hadRecoverableError)).some(Boolean);
+        const wasSuccessful = !hadRecoverableError && forwardingPolicyWasSatisfied;
         const successfulDestinations = primaryDestinationResults
             .map(result => result.successfulDestination).filter(Boolean);
         const errorMessages = primaryDestinationResults
             .flatMap(result => result.errorMessages);
         const errors = primaryDestinationResults
             .flatMap(result => result.errors);
+        const classifiedErrors = primaryDestinationResults
+            .flatMap(result => result.classifiedErrors);
         let status = wasSuccessful
             ? 'SuccessfulForwarding'
             : (hadRecoverableError
@@ -291,358 +1143,2587 @@ export const DEFAULTS = {
             email: emailImage,
             action: actionType,
             compoundDestination: compoundDestination,
+            forwardingPolicy: forwardingPolicy,
             status: status,
             successfulDestinations: successfulDestinations,
             errorMessages: errorMessages
         }, 'info', configuration);
+        const newlyDeliveredDestinations = successfulDestinations
+            .filter(destination => !deliveredDestinations.includes(destination));
+        if (hadRecoverableError && deliveryKey !== null && newlyDeliveredDestinations.length > 0) {
+            try {
+                await idempotency.state.put(deliveryKey,
+                    JSON.stringify([...deliveredDestinations, ...newlyDeliveredDestinations]),
+                    { expirationTtl: idempotency.ttl });
+            } catch (error) {
+                configuration.consoleOutput({
+                    email: emailImage,
+                    issue: 'delivered destinations not stored',
+                    errorMessage: error.message,
+                }, 'warn', configuration);
+            }
+        }
         if (hadRecoverableError) {
-            throw new RecoverableForwardError(errors);
+            const undeliveredCompoundDestination = compoundDestination
+                .filter((_, i) => !primaryDestinationResults[i].wasSuccessful);
+            throw new RecoverableForwardError(errors, classifiedErrors, {
+                compoundDestination: undeliveredCompoundDestination,
+                forwardingPolicy: forwardingPolicy.type === 'quorum'
+                    ? { ...forwardingPolicy, quorum: Math.max(forwardingPolicy.quorum - successfulCount, 1) }
+                    : forwardingPolicy,
+            });
         }
         return wasSuccessful;
     },
+    // Returns the classification of an error thrown by
+    // ForwardableEmailMessage.forward() as an object with
+    // - type: one of FIXED.FORWARDING_ERROR_TYPES, where a transport error
+    //   is 'transient' or 'permanent' according to its stated severity or
+    //   otherwise its SMTP reply code
+    // - smtpCode: the SMTP reply code of a transport error if any, or null
+    // - reason: the reason for a configuration error, or null
+    classifyForwardingError(error) {
+        const errorMessage = error?.message ?? '';
+        const configurationReason = [
+            [FIXED.CLOUDFLARE_FORWARDING_INVALID_ADDRESS_MESSAGE_PREFIX, 'invalid address'],
+            [FIXED.CLOUDFLARE_FORWARDING_UNVERIFIED_ADDRESS_MESSAGE_PREFIX, 'unverified address'],
+            [FIXED.CLOUDFLARE_FORWARDING_DUPLICATE_ADDRESS_MESSAGE_PREFIX, 'duplicate address'],
+            [FIXED.CLOUDFLARE_FORWARDING_SAME_WORKER_ADDRESS_MESSAGE_PREFIX, 'same worker'],
+        ].find(([prefix]) => errorMessage.startsWith(prefix))?.at(1);
+        if (configurationReason !== undefined)
+            return { type: 'configuration', smtpCode: null, reason: configurationReason };
+        if (errorMessage.startsWith(FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX)) {
+            const smtpCodeText = errorMessage.match(FIXED.transportErrorSmtpCodeRegExp)?.at(1);
+            const smtpCode = smtpCodeText !== undefined ? parseInt(smtpCodeText) : null;
+            const type = errorMessage.match(FIXED.transportErrorSeverityRegExp)?.at(1).toLowerCase()
+                ?? { 4: 'transient', 5: 'permanent' }[smtpCodeText?.at(0)]
+                ?? 'unknown';
+            return { type: type, smtpCode: smtpCode, reason: null };
+        }
+        return { type: 'unknown', smtpCode: null, reason: null };
+    },
+    // Returns true if the ASCII equivalent of the address is matched by
+    // validAddressRegExp, where the ASCII equivalent has
+    // - a quoted local part (RFC 5322) replaced by an unquoted placeholder
+    // - each non-ASCII character in the local part (RFC 6531) replaced by
+    //   an ASCII placeholder
+    // - an internationalized domain converted to punycode
     isValidEmailAddress(address, validAddressRegExp) {
-        return validAddressRegExp.test(address);
+        const [localPart, domain] = FIXED.addressParts(address);
+        const asciiLocalPart = FIXED.quotedLocalPartRegExp.test(localPart)
+            ? 'quoted'
+            : localPart.replace(FIXED.nonAsciiCharacterRegExp, 'x');
+        const asciiDomain = FIXED.asciiDomain(domain);
+        return asciiDomain !== undefined
+            && validAddressRegExp.test(`${asciiLocalPart}@${asciiDomain}`);
+    },
+    // Returns the current time used to evaluate schedules
+    now() {
+        return new Date();
+    },
+    // Returns a promise which resolves after the milliseconds have elapsed
+    sleep(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    },
+    // Returns a random number in the range [0, 1) used to add jitter to
+    // retry delays
+    random() {
+        return Math.random();
+    },
+    // Sends the raw email message from the sender to the destination using
+    // the send email binding
+    async sendEmail(sendEmailBinding, from, to, raw) {
+        const { EmailMessage } = await import('cloudflare:email');
+        await sendEmailBinding.send(new EmailMessage(from, to, raw));
     }
 };
 
-export default {
-    // Handle the forwarding of an email based on the message's `to` attribute. 
-    async email(message, environment, context) {
-        // Environment-based configuration which overrides `DEFAULTS`
-        //
-        const {
-            CONSOLE_OUTPUT_LEVEL,
-            USE_STORED_ADDRESS_CONFIGURATION,
-            USE_STORED_USER_CONFIGURATION,
+// Returns the configuration of forwarding, which is independent of the
+// message being forwarded, from the environment-based configuration
+function forwardingConfiguration(ENVIRONMENT) {
+    const {
+        CONSOLE_OUTPUT_LEVEL,
 
-            DESTINATION,
-            REJECT_TREATMENT,
-            SUBADDRESSES,
-            USERS,
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP,
+        FORWARDING_ERROR_POLICY,
 
-            CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP,
+        BACKUP_STRATEGY,
 
-            FORMAT_PRIMARY_ADDRESS_SEPARATOR,
-            FORMAT_BACKUP_ADDRESS_SEPARATOR,
+        CLOUDFLARE_RETRYABLE_FORWARDING_ERROR_REGEXP,
+
+        DEFERRED_DELIVERY,
+
+        ARCHIVE_OUTCOMES,
+
+        FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+
+        STATE,
+        QUEUE,
+        SEND_EMAIL,
+        ARCHIVE,
+
+        consoleOutput,
+        forwardToPrimaryDestination,
+        classifyForwardingError,
+        now,
+        sleep,
+        random
+    } = ENVIRONMENT;
+
+    const recoverableForwardImplementationErrorRegExp =
+        new RegExp(CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP);
+    // Entries are `{type}:{action}` with invalid entries ignored
+    const forwardingErrorPolicy = FIXED.parsedForwardingErrorPolicy(
+        FORWARDING_ERROR_POLICY, FORMAT_PRIMARY_ADDRESS_SEPARATOR).policy;
+    // Invalid numeric configuration falls back to the default
+    const numericConfiguration = (name) => FIXED.numericConfiguration(ENVIRONMENT, name);
+
+    // Invalid backup strategies fall back to the default
+    const [, backupStrategyType, backupStrategyHeadStart] =
+        BACKUP_STRATEGY.replace(/\s/g, '').match(FIXED.backupStrategyRegExp)
+        ?? DEFAULTS.BACKUP_STRATEGY.match(FIXED.backupStrategyRegExp);
+    const backupStrategy = {
+        type: backupStrategyType.toLowerCase(),
+        headStart: {
+            sequential: Infinity,
+            parallel: 0,
+            staggered: parseInt(backupStrategyHeadStart ?? '0'),
+        }[backupStrategyType.toLowerCase()],
+    };
+
+    // The time budget for retries starts when the email is received, or
+    // for each message forwarded with withRetryDeadline()
+    const retry = {
+        attempts: numericConfiguration('RETRY_ATTEMPTS'),
+        baseDelay: numericConfiguration('RETRY_BASE_DELAY'),
+        maxDelay: numericConfiguration('RETRY_MAX_DELAY'),
+        jitter: Math.min(numericConfiguration('RETRY_JITTER'), 1),
+        timeBudget: numericConfiguration('RETRY_TIME_BUDGET'),
+        deadline: now().getTime() + numericConfiguration('RETRY_TIME_BUDGET'),
+        errorRegExp: new RegExp(CLOUDFLARE_RETRYABLE_FORWARDING_ERROR_REGEXP),
+    };
+
+    // The circuit breaker is disabled without a STATE store
+    const circuitBreakerFailureThreshold = numericConfiguration('CIRCUIT_BREAKER_FAILURE_THRESHOLD');
+    const circuitBreaker = STATE && circuitBreakerFailureThreshold > 0
+        ? {
+            state: STATE,
+            failureThreshold: circuitBreakerFailureThreshold,
+            openDuration: numericConfiguration('CIRCUIT_BREAKER_OPEN_DURATION'),
+            successThreshold: Math.max(numericConfiguration('CIRCUIT_BREAKER_SUCCESS_THRESHOLD'), 1),
+        }
+        : null;
+
+    // Idempotency is disabled without a STATE store, and KV requires a
+    // TTL of at least 60 seconds
+    const idempotencyTtl = numericConfiguration('IDEMPOTENCY_TTL');
+    const idempotency = STATE && idempotencyTtl > 0
+        ? { state: STATE, ttl: Math.max(idempotencyTtl, 60) }
+        : null;
+
+    // Deferred delivery is disabled without a QUEUE to defer to and a
+    // SEND_EMAIL binding to deliver with
+    const deferredDelivery = {
+        isEnabled: ['true', '1'].includes(DEFERRED_DELIVERY.trim().toLowerCase())
+            && Boolean(QUEUE) && Boolean(SEND_EMAIL),
+        queue: QUEUE,
+        maxAttempts: numericConfiguration('DEFERRED_DELIVERY_MAX_ATTEMPTS'),
+        baseDelay: numericConfiguration('DEFERRED_DELIVERY_BASE_DELAY'),
+        maxDelay: numericConfiguration('DEFERRED_DELIVERY_MAX_DELAY'),
+        maxRawSize: numericConfiguration('DEFERRED_DELIVERY_MAX_RAW_SIZE'),
+    };
+    // Returns the delay in seconds before the deferred delivery attempt
+    deferredDelivery.delay = (attempt) =>
+        Math.min(deferredDelivery.maxDelay, deferredDelivery.baseDelay * 2 ** (attempt - 1));
+
+    // Archiving is disabled without an ARCHIVE store, and unknown outcomes
+    // are ignored
+    const archive = ARCHIVE
+        ? {
+            store: ARCHIVE,
+            outcomes: ARCHIVE_OUTCOMES.split(FORMAT_PRIMARY_ADDRESS_SEPARATOR)
+                .map(s => s.trim().toLowerCase())
+                .filter(outcome => FIXED.ARCHIVE_OUTCOMES.includes(outcome)),
+        }
+        : null;
+
+    const CONFIGURATION = {
+        recoverableForwardImplementationErrorRegExp: recoverableForwardImplementationErrorRegExp,
+        forwardingErrorPolicy: forwardingErrorPolicy,
+        classifyForwardingError: classifyForwardingError,
+        backupStrategy: backupStrategy,
+        retry: retry,
+        circuitBreaker: circuitBreaker,
+        idempotency: idempotency,
+        deferredDelivery: deferredDelivery,
+        archive: archive,
+        consoleOutputLevel: FIXED.consoleOutputLevel(CONSOLE_OUTPUT_LEVEL),
+        consoleOutput: consoleOutput,
+        forwardToPrimaryDestination: forwardToPrimaryDestination,
+        sleep: sleep,
+        now: now,
+        random: random,
+    };
+
+    return CONFIGURATION;
+}
+
+// Returns the forwarding configuration with the time budget for retries
+// starting now, so that each of many messages forwarded with the same
+// configuration has its own time budget
+function withRetryDeadline(configuration) {
+    const { retry, now } = configuration;
+    return { ...configuration, retry: { ...retry, deadline: now().getTime() + retry.timeBudget } };
+}
+
+// Returns the destination with each placeholder `{${name}}` replaced by its
+// value, or undefined if a placeholder has an empty value.
+// Unknown placeholders are left as is.
+function expandedDestinationTemplate(destination, destinationPlaceholderValues) {
+    let hasEmptyPlaceholder = false;
+    const expandedDestination = destination.replace(
+        FIXED.destinationPlaceholderRegExp,
+        (placeholder, name) => {
+            const value = destinationPlaceholderValues[name.toLowerCase()];
+            if (value === '')
+                hasEmptyPlaceholder = true;
+            return value ?? placeholder;
+        });
+    return hasEmptyPlaceholder ? undefined : expandedDestination;
+}
+// Return an object with valid and invalid backup addresses for a primary
+// destination after
+// - trimming whitespace
+// - prepend the destination user to the destination if it begins with
+//   either the local part separator or '@'
+// - expanding any destination template placeholders, where
+//   a destination with a placeholder without a value is skipped and
+//   a destination with an unknown placeholder is invalid
+// - converting the domain of a valid destination to its ASCII
+//   equivalent so that internationalized domains are deduplicated
+function validatedPrimaryDestination(primaryDestinationText, destinationFormat,
+    destinationUser, destinationPlaceholderValues) {
+    return primaryDestinationText.split(destinationFormat.backupAddressSeparator).reduce(
+        (newPrimaryDestination, basicDestination) => {
+            const backupDestination = expandedDestinationTemplate(
+                FIXED.prepend(basicDestination.trim(),
+                    [{ test: destinationFormat.localPartSeparator, prepend: destinationUser },
+                    { test: '@', prepend: destinationUser }]
+                ),
+                destinationPlaceholderValues);
+            if (backupDestination === undefined) {
+                // Skip
+            } else if (backupDestination.search(FIXED.destinationPlaceholderRegExp) === -1
+                && destinationFormat.isValidEmailAddress(
+                    backupDestination, destinationFormat.validEmailAddressRegExp)) {
+                const [localPart, domain] = FIXED.addressParts(backupDestination);
+                newPrimaryDestination.validBackup.push(
+                    `${localPart}@${FIXED.asciiDomain(domain) ?? domain}`);
+            } else if (backupDestination !== '') {
+                newPrimaryDestination.invalidBackup.push(backupDestination);
+            }
+            return newPrimaryDestination;
+        },
+        { validBackup: [], invalidBackup: [] }
+    );
+}
+// Returns an object with the valid primary destinations, and the valid,
+// invalid and duplicate backup destinations, of a compound destination
+// where destinationFormat has the separators, the valid email address
+// regular expression and the isValidEmailAddress() method used
+function validatedCompoundDestination(compoundDestinationText, destinationFormat,
+    destinationUser, destinationPlaceholderValues) {
+    return compoundDestinationText.split(destinationFormat.primaryAddressSeparator).reduce(
+        (newCompoundDestination, primaryDestinationText) => {
+            const nonDedupedprimaryDestination = validatedPrimaryDestination(
+                primaryDestinationText, destinationFormat,
+                destinationUser, destinationPlaceholderValues);
+            const dedupedPrimaryDestination = nonDedupedprimaryDestination.validBackup.reduce(
+                (newPrimaryDestination, destination) => {
+                    if (!newCompoundDestination.validBackup.includes(destination)) {
+                        newCompoundDestination.validBackup.push(destination);
+                        newPrimaryDestination.push(destination);
+                    } else {
+                        newCompoundDestination.duplicateBackup.push(destination);
+                    };
+                    return newPrimaryDestination;
+                }, []);
+            if (dedupedPrimaryDestination.length > 0)
+                newCompoundDestination.validPrimary.push(dedupedPrimaryDestination);
+            newCompoundDestination.invalidBackup.push(...nonDedupedprimaryDestination.invalidBackup);
+            return newCompoundDestination;
+        },
+        { validPrimary: [], validBackup: [], invalidBackup: [], duplicateBackup: [] }
+    );
+}
+
+// Returns a JSON stored user or sub-address configuration value validated
+// against FIXED.USER_CONFIGURATION_SCHEMA and converted to the text format
+// as the configuration, with its fields and its text values:
+// - destinationWithRejectTreatment: the value of a user or sub-address, or
+//   the user alias,
+// - subaddresses: the value of `${user}${FORMAT_LOCAL_PART_SEPARATOR}`, and
+// - rules: the value of `${FIXED.USER_RULES_KEY_PREFIX}${user}`
+// where the latter are undefined if not configured, or the issues with it
+// if invalid, where userConfigurationFormat has the separators used
+function parsedUserConfiguration(text, userConfigurationFormat) {
+    const {
+        primaryAddressSeparator, backupAddressSeparator,
+        localPartSeparator, rejectSeparator, ruleSeparator,
+    } = userConfigurationFormat;
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        return [undefined, [{ issue: 'invalidly formatted JSON', errorMessage: error.message }]];
+    }
+    const issues = FIXED.schemaIssues(json, FIXED.USER_CONFIGURATION_SCHEMA);
+    if (issues.length === 0 && typeof json.rejectTreatment === 'string'
+        && json.rejectTreatment.includes(rejectSeparator))
+        issues.push({ issue: 'reject reason contains the reject separator', path: '/rejectTreatment' });
+    if (issues.length === 0)
+        for (const [path, forwardingPolicy] of [
+            ['/forwardingPolicy', json.forwardingPolicy],
+            ['/rejectTreatment/forwardingPolicy', json.rejectTreatment?.forwardingPolicy],
+        ])
+            if (forwardingPolicy !== undefined && FIXED.parsedForwardingPolicy(forwardingPolicy) === undefined)
+                issues.push({ issue: 'invalidly formatted forwarding policy', path: path, forwardingPolicy: forwardingPolicy });
+    // Items are joined with separators into the text format, and so must
+    // not contain the separators which would split them differently
+    function destinationItems(path, destinations = []) {
+        return destinations.flatMap((primaryDestination, i) => Array.isArray(primaryDestination)
+            ? primaryDestination.map((destination, j) => [`${path}/${i}/${j}`, destination])
+            : [[`${path}/${i}`, primaryDestination]])
+            .map(([itemPath, destination]) =>
+                [itemPath, destination, [primaryAddressSeparator, backupAddressSeparator, rejectSeparator]]);
+    }
+    if (issues.length === 0)
+        for (const [path, item, separators] of [
+            ...destinationItems('/destinations', json.destinations),
+            ...destinationItems('/rejectTreatment/destinations', json.rejectTreatment?.destinations),
+            ...['allowed', 'denied'].flatMap(list => (json.subaddresses?.[list] ?? [])
+                .map((subaddress, i) => [`/subaddresses/${list}/${i}`, subaddress, [primaryAddressSeparator]])),
+            ...(json.rules ?? []).map((rule, i) => [`/rules/${i}`, rule, [ruleSeparator]]),
+        ]) {
+            const containedSeparators = separators.filter(separator => item.includes(separator));
+            if (containedSeparators.length > 0)
+                issues.push({ issue: 'item contains a separator', path: path, separators: containedSeparators });
+        }
+    if (issues.length > 0)
+        return [undefined, issues];
+
+    // Returns the compound destination text prefixed by its forwarding
+    // policy if both are configured
+    function compoundDestinationText(destinations = [], forwardingPolicy) {
+        const text = destinations
+            .map(primaryDestination => [primaryDestination].flat().join(backupAddressSeparator))
+            .join(primaryAddressSeparator);
+        return forwardingPolicy !== undefined && text ? `[${forwardingPolicy}] ${text}` : text;
+    }
+    const rejectTreatment = typeof json.rejectTreatment === 'object'
+        ? compoundDestinationText(json.rejectTreatment.destinations, json.rejectTreatment.forwardingPolicy)
+        : json.rejectTreatment ?? '';
+    return [{
+        fields: Object.keys(json),
+        destinationWithRejectTreatment: json.alias !== undefined
+            ? `${FIXED.USER_ALIAS_PREFIX}${json.alias}`
+            : compoundDestinationText(json.destinations, json.forwardingPolicy)
+            + rejectSeparator + rejectTreatment,
+        subaddresses: json.subaddresses !== undefined
+            ? (json.subaddresses.required ? localPartSeparator : '') + [
+                ...json.subaddresses.allowed ?? [],
+                ...(json.subaddresses.denied ?? []).map(s => FIXED.SUBADDRESS_DENY_PREFIX + s),
+            ].join(primaryAddressSeparator)
+            : undefined,
+        rules: json.rules?.join(ruleSeparator),
+    }, []];
+}
+
+// Returns the functions validating configuration values, each of which
+// returns the issues with a value, given the environment-based
+// configuration, which must have valid separators and regular expressions
+function configurationValidators(ENVIRONMENT) {
+    const {
+        FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+        FORMAT_BACKUP_ADDRESS_SEPARATOR,
+        FORMAT_LOCAL_PART_SEPARATOR,
+        FORMAT_REJECT_SEPARATOR,
+        FORMAT_GROUP_PREFIX,
+        FORMAT_RULE_SEPARATOR,
+        FORMAT_VALID_EMAIL_ADDRESS_REGEXP,
+
+        isValidEmailAddress,
+    } = ENVIRONMENT;
+
+    // Destinations are validated with sample values for the user of a
+    // user pattern and for the destination template placeholders
+    const validationPlaceholderValues = {
+        user: 'user',
+        sub: 'subaddress',
+        domain: 'example.com',
+        sender_domain: 'example.com',
+    };
+    const destinationFormat = {
+        primaryAddressSeparator: FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+        backupAddressSeparator: FORMAT_BACKUP_ADDRESS_SEPARATOR,
+        localPartSeparator: FORMAT_LOCAL_PART_SEPARATOR,
+        validEmailAddressRegExp: new RegExp(FORMAT_VALID_EMAIL_ADDRESS_REGEXP),
+        isValidEmailAddress: isValidEmailAddress,
+    };
+    function isGroupReference(primaryDestinationText) {
+        return FIXED.isGroupReference(primaryDestinationText, FORMAT_GROUP_PREFIX);
+    }
+    function isRejectReason(rejectTreatment) {
+        return FIXED.isRejectReason(rejectTreatment, FORMAT_PRIMARY_ADDRESS_SEPARATOR, FORMAT_GROUP_PREFIX);
+    }
+    // Returns the issues with a destination, which is optionally prefixed
+    // by a forwarding policy, validated in the same way as when routing
+    // except that group references are not expanded
+    function destinationIssues(destination, user) {
+        const [, forwardingPolicyText, unprefixedDestination] =
+            destination.match(FIXED.forwardingPolicyPrefixRegExp) ?? [undefined, undefined, destination];
+        const forwardingPolicy = forwardingPolicyText !== undefined
+            ? FIXED.parsedForwardingPolicy(forwardingPolicyText)
+            : undefined;
+        const issues = forwardingPolicyText !== undefined && forwardingPolicy === undefined
+            ? [{ issue: 'invalidly formatted forwarding policy', forwardingPolicy: forwardingPolicyText }]
+            : [];
+        const primaryDestinationTexts = unprefixedDestination
+            .split(FORMAT_PRIMARY_ADDRESS_SEPARATOR);
+        // A quorum of more than the primary destinations is never met,
+        // unless a group reference adds more of them
+        const primaryDestinationCount = primaryDestinationTexts.filter(text => text.trim() !== '').length;
+        if (forwardingPolicy?.quorum > primaryDestinationCount
+            && !primaryDestinationTexts.some(isGroupReference))
+            issues.push({
+                issue: 'quorum exceeds the primary destinations',
+                quorum: forwardingPolicy.quorum,
+                primaryDestinations: primaryDestinationCount,
+            });
+        const emptyGroups = primaryDestinationTexts.filter(isGroupReference)
+            .map(s => s.trim()).filter(group => group === FORMAT_GROUP_PREFIX);
+        const validatedDestination = validatedCompoundDestination(
+            primaryDestinationTexts.filter(text => !isGroupReference(text))
+                .join(FORMAT_PRIMARY_ADDRESS_SEPARATOR),
+            destinationFormat,
+            FIXED.isPattern(user) ? validationPlaceholderValues.user : user,
+            validationPlaceholderValues);
+        for (const [issue, destinations] of [
+            ['invalidly formatted', [...validatedDestination.invalidBackup, ...emptyGroups]],
+            ['duplicate', validatedDestination.duplicateBackup],
+        ])
+            if (destinations.length > 0)
+                issues.push({ issue: issue, destinations: destinations });
+        return issues;
+    }
+    function rejectTreatmentIssues(rejectTreatment, user) {
+        return isRejectReason(rejectTreatment)
+            ? []
+            : destinationIssues(rejectTreatment, user);
+    }
+    // Returns the issues with a destination and reject treatment, or a
+    // user alias if allowed, where a JSON value is validated against the
+    // schema and then as its text values, and may only have the fields
+    // applying to a sub-address if a user alias is not allowed
+    function destinationWithRejectTreatmentIssues(value, user, allowAlias) {
+        if (FIXED.jsonConfigurationRegExp.test(value)) {
+            const [configuration, issues] = parsedUserConfiguration(value, {
+                primaryAddressSeparator: FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+                backupAddressSeparator: FORMAT_BACKUP_ADDRESS_SEPARATOR,
+                localPartSeparator: FORMAT_LOCAL_PART_SEPARATOR,
+                rejectSeparator: FORMAT_REJECT_SEPARATOR,
+                ruleSeparator: FORMAT_RULE_SEPARATOR,
+            });
+            if (configuration === undefined)
+                return issues;
+            const inapplicableFields = allowAlias
+                ? []
+                : configuration.fields.filter(field => FIXED.SUBADDRESS_INAPPLICABLE_FIELDS.includes(field));
+            return [
+                ...(inapplicableFields.length > 0
+                    ? [{ issue: 'fields not applying to a sub-address', fields: inapplicableFields }]
+                    : []),
+                ...destinationWithRejectTreatmentIssues(
+                    configuration.destinationWithRejectTreatment, user, allowAlias),
+                ...subaddressesIssues(configuration.subaddresses ?? ''),
+            ];
+        }
+        if (allowAlias && value.trim().startsWith(FIXED.USER_ALIAS_PREFIX))
+            return value.trim().slice(FIXED.USER_ALIAS_PREFIX.length).trim()
+                ? []
+                : [{ issue: 'empty user alias' }];
+        const [destination, rejectTreatment, ...rest] = value.split(FORMAT_REJECT_SEPARATOR);
+        return [
+            ...(rest.length > 0 ? [{ issue: 'more than one reject treatment' }] : []),
+            ...destinationIssues(destination, user),
+            ...rejectTreatmentIssues(rejectTreatment ?? '', user),
+        ];
+    }
+    function subaddressesIssues(subaddresses) {
+        const trimmedSubaddresses = subaddresses.trim();
+        const deniedSubaddresses = (trimmedSubaddresses.startsWith(FORMAT_LOCAL_PART_SEPARATOR)
+            ? trimmedSubaddresses.slice(FORMAT_LOCAL_PART_SEPARATOR.length)
+            : trimmedSubaddresses)
+            .split(FORMAT_PRIMARY_ADDRESS_SEPARATOR).map(s => s.trim())
+            .filter(s => s.startsWith(FIXED.SUBADDRESS_DENY_PREFIX));
+        return deniedSubaddresses.some(s => s === FIXED.SUBADDRESS_DENY_PREFIX)
+            ? [{ issue: 'empty denied sub-address' }]
+            : [];
+    }
+    function usersIssues(users) {
+        return users.split(FORMAT_PRIMARY_ADDRESS_SEPARATOR).map(s => s.trim())
+            .filter(FIXED.isPattern).flatMap(pattern => {
+                try {
+                    FIXED.patternRegExp(pattern);
+                    return [];
+                } catch (error) {
+                    return [{ issue: 'invalid user pattern', pattern: pattern, errorMessage: error.message }];
+                }
+            });
+    }
+    // Returns true if a destination, which is optionally prefixed by a
+    // forwarding policy, is not empty and has neither a valid primary
+    // destination nor a group reference, so that it never validates
+    function isNeverValidDestination(destination, user) {
+        const unprefixedDestination =
+            destination.match(FIXED.forwardingPolicyPrefixRegExp)?.at(2) ?? destination;
+        return unprefixedDestination.trim() !== ''
+            && !unprefixedDestination.split(FORMAT_PRIMARY_ADDRESS_SEPARATOR).some(isGroupReference)
+            && validatedCompoundDestination(unprefixedDestination, destinationFormat,
+                FIXED.isPattern(user) ? validationPlaceholderValues.user : user,
+                validationPlaceholderValues).validPrimary.length === 0;
+    }
+
+    return {
+        placeholderValues: validationPlaceholderValues,
+        destinationIssues: destinationIssues,
+        rejectTreatmentIssues: rejectTreatmentIssues,
+        destinationWithRejectTreatmentIssues: destinationWithRejectTreatmentIssues,
+        subaddressesIssues: subaddressesIssues,
+        usersIssues: usersIssues,
+        isNeverValidDestination: isNeverValidDestination,
+        isRejectReason: isRejectReason,
+    };
+}
+
+// Returns a stand-in for an email message from the sender to the recipient
+// which forwards by sending the raw message with the custom headers
+// prepended using the send email binding
+function sendingMessage(from, to, raw, sendEmailBinding, sendEmail) {
+    return {
+        from: from,
+        to: to,
+        rawSize: raw.byteLength,
+        headers: FIXED.rawHeaders(new TextDecoder().decode(raw)),
+        async forward(destination, customHeaders) {
+            const customHeaderLines = [...customHeaders.entries()]
+                .map(([name, value]) => `${name}: ${value}\r\n`).join('');
+            await sendEmail(sendEmailBinding, to, destination,
+                new Blob([customHeaderLines, raw]).stream());
+        },
+    };
+}
+
+// Archives the raw message with the metadata of its routing if archiving is
+// enabled for its outcome, and returns the id of the archived message, or
+// null if it was not archived
+async function archiveMessage(raw, metadata, emailImage, configuration) {
+    const { archive } = configuration;
+    if (archive === null || !archive.outcomes.includes(metadata.outcome))
+        return null;
+    // Ids are ordered by the time archived
+    const archivedAt = configuration.now();
+    const id = `${archivedAt.getTime()}-${crypto.randomUUID()}`;
+    try {
+        await archive.store.put(`${FIXED.ARCHIVE_RAW_KEY_PREFIX}${id}`,
+            await new Response(raw).arrayBuffer());
+        await archive.store.put(`${FIXED.ARCHIVE_METADATA_KEY_PREFIX}${id}`, JSON.stringify({
+            id: id,
+            archivedAt: archivedAt.toISOString(),
+            from: emailImage.from,
+            to: emailImage.to,
+            messageId: emailImage.messageId,
+            subject: emailImage.subject,
+            ...metadata,
+        }));
+    } catch (error) {
+        configuration.consoleOutput({
+            email: emailImage,
+            issue: 'message not archived',
+            outcome: metadata.outcome,
+            errorMessage: error.message,
+        }, 'warn', configuration);
+        return null;
+    }
+    configuration.consoleOutput({
+        email: emailImage,
+        action: 'ArchiveMessage',
+        archiveId: id,
+        outcome: metadata.outcome,
+    }, 'info', configuration);
+    return id;
+}
+
+// Returns the value of the key in the archive store as the type, 'text' or
+// 'arrayBuffer', or null if not stored, where an R2 bucket returns an object
+// body rather than the value
+async function archivedValue(store, key, type) {
+    const value = await store.get(key, { type: type });
+    return typeof value?.[type] === 'function' ? await value[type]() : value;
+}
+
+// Returns the value with it and all the objects it contains frozen
+function deeplyFrozen(value) {
+    if (typeof value === 'object' && value !== null && !Object.isFrozen(value))
+        Object.values(Object.freeze(value)).forEach(deeplyFrozen);
+    return value;
+}
+
+// Returns the first address configuration value found for the name in each
+// of the domain scopes in priority order, where the empty string is the
+// global scope, and its source, where within each scope stored
+// configuration, whose value is returned by storedValue(key) or undefined if
+// not stored, overrides environment configuration:
+//     `@${scope}@${name}` (stored) then `${scope}@${name}` (environment)
+// and for the global scope:
+//     `@${name}` (stored) then `${name}` (environment or default)
+// The source is either 'kv-global', 'environment' or 'default' with its key
+function scopedAddressConfiguration(name, scopes, ENVIRONMENT, storedValue) {
+    for (const scope of scopes) {
+        const key = scope ? `${scope}@${name}` : name;
+        const storedAddressValue = storedValue(`@${key}`);
+        const value = storedAddressValue ?? ENVIRONMENT[key];
+        if (value !== undefined)
+            return [value, storedAddressValue !== undefined
+                ? { source: 'kv-global', key: `@${key}` }
+                : { source: ENVIRONMENT[key] === DEFAULTS[key] ? 'default' : 'environment', key: key }];
+    }
+    return [undefined, undefined];
+}
+
+// Returns the format of local-parts given the LOCAL_PART_NORMALIZATION and
+// ADDITIONAL_LOCAL_PART_SEPARATORS address configuration values, with:
+// - normalizations: the local-part normalizations configured,
+// - userNormalization: the normalization of a user for comparison with the
+//   configuration, which is always converted to lower case,
+// - shouldPreserveCase: whether the case of the user and sub-address is
+//   preserved for use in destinations, and
+// - separators: the separators of the user and sub-address
+function localPartFormat(localPartNormalization, additionalLocalPartSeparators, ENVIRONMENT) {
+    const { FORMAT_PRIMARY_ADDRESS_SEPARATOR, FORMAT_LOCAL_PART_SEPARATOR } = ENVIRONMENT;
+    const normalizations = localPartNormalization
+        .split(FORMAT_PRIMARY_ADDRESS_SEPARATOR).map(s => s.trim().toLowerCase()).filter(Boolean);
+    return {
+        normalizations: normalizations,
+        userNormalization: {
+            unicode: normalizations.includes('unicode'),
+            ignoreDots: normalizations.includes('ignore-dots'),
+        },
+        shouldPreserveCase: normalizations.includes('preserve-case'),
+        separators: [
             FORMAT_LOCAL_PART_SEPARATOR,
-            FORMAT_REJECT_SEPARATOR,
-            FORMAT_VALID_CUSTOM_HEADER_REGEXP,
-            FORMAT_VALID_EMAIL_ADDRESS_REGEXP,
+            ...additionalLocalPartSeparators
+                .split(FORMAT_PRIMARY_ADDRESS_SEPARATOR).map(s => s.trim()).filter(Boolean),
+        ],
+    };
+}
 
-            CUSTOM_HEADER,
-            CUSTOM_HEADER_FAIL,
-            CUSTOM_HEADER_PASS,
+// Resolves the routing of a message given its envelope, which has the
+// recipient `to`, the sender `from` and the `headers`, and a configuration
+// snapshot, without loading any configuration or forwarding or rejecting it.
+// Returns the immutable routing plan with the resolved user and
+// sub-address, the configuration sources of the destination and reject
+// treatment, the accept and reject forwarding, the action initially taken,
+// which is either 'accept-forward', 'reject-forward' or 'direct-reject', and
+// the log records to output when it is executed.
+// Throws a StoredConfigurationNotLoaded error if the snapshot does not have
+// stored configuration values which are needed, where each value which has
+// not been loaded is treated as not stored so that every value which can be
+// named without it is found by the same pass.
+export function resolveRoutingPlan(envelope, snapshot) {
+    const { environment: ENVIRONMENT, stored } = snapshot;
+    const {
+        USE_STORED_ADDRESS_CONFIGURATION,
+        USE_STORED_USER_CONFIGURATION,
+        USE_STORED_GROUP_CONFIGURATION,
+        USE_DOMAIN_SCOPED_CONFIGURATION,
 
-            MAP,
+        REJECT_TREATMENT,
 
-            addressLocalParts,
-            emailImage,
-            consoleOutput,
-            forwardToPrimaryDestination,
-            forwardToCompoundDestination,
-            isValidEmailAddress
-        } = { ...DEFAULTS, ...environment };
+        FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+        FORMAT_BACKUP_ADDRESS_SEPARATOR,
+        FORMAT_LOCAL_PART_SEPARATOR,
+        FORMAT_REJECT_SEPARATOR,
+        FORMAT_GROUP_PREFIX,
+        FORMAT_RULE_SEPARATOR,
+        FORMAT_VALID_EMAIL_ADDRESS_REGEXP,
 
-        // Helper methods independent of configuration
-        //
+        addressLocalParts,
+        emailImage,
+        isValidEmailAddress,
+    } = ENVIRONMENT;
+
+    // The log records which are output when the plan is executed
+    const logs = [];
+    function output(record, level) {
+        logs.push([record, level]);
+    }
+
+    // Helper methods independent of configuration
+    //
 
-        function booleanFromString(stringBoolean) {
-            return ['true', '1']
-                .includes(stringBoolean.trim().toLowerCase());
+    function booleanFromString(stringBoolean) {
+        return ['true', '1']
+            .includes(stringBoolean.trim().toLowerCase());
+    }
+    // Returns the stored configuration value of the key in the snapshot,
+    // recording the key if it has not been loaded into the snapshot
+    const notLoadedKeys = [];
+    function storedConfigurationValue(shouldLoad, key) {
+        if (!shouldLoad)
+            return undefined;
+        if (!Object.hasOwn(stored, key)) {
+            if (!notLoadedKeys.includes(key))
+                notLoadedKeys.push(key);
+            return undefined;
+        }
+        // MAP.get(key) returns null if key is not stored so '?? undefined'
+        // coalesces null to undefined but leaves '' unchanged
+        // which is important because '' is used to indicate that
+        // the global configured should be used for that destination
+        return stored[key] ?? undefined;
+    }
+    // Returns the domain of an address in lower case, which is converted
+    // to its ASCII equivalent if valid so that an internationalized
+    // domain and its punycode equivalent are the same domain
+    function addressDomain(address) {
+        const domain = FIXED.addressParts(address)[1].trim();
+        return FIXED.asciiDomain(domain) ?? domain.toLowerCase();
+    }
+
+    // Load and validate stored and environment configuration
+    //
+
+    const useStoredAddressConfiguration =
+        booleanFromString(USE_STORED_ADDRESS_CONFIGURATION);
+    const useStoredUserConfiguration =
+        booleanFromString(USE_STORED_USER_CONFIGURATION);
+    const useStoredGroupConfiguration =
+        booleanFromString(USE_STORED_GROUP_CONFIGURATION);
+    const useDomainScopedConfiguration =
+        booleanFromString(USE_DOMAIN_SCOPED_CONFIGURATION);
+
+    // The message's domain scopes in priority order, where the empty
+    // string is the global scope which is always the last resort
+    const messageDomain = addressDomain(envelope.to);
+    const messageDomainScopes = useDomainScopedConfiguration
+        ? [...FIXED.domainScopes(messageDomain), '']
+        : [''];
+
+    // Returns the key of a user's stored configuration for a scope:
+    //     `${key}@${scope}` or `${key}` for the global scope
+    function userScopedKey(key, scope) {
+        return scope ? `${key}@${scope}` : key;
+    }
+    // Returns the first stored configuration value found for the key
+    // in each of the message's domain scopes in priority order
+    function storedScopedConfigurationValue(shouldLoad, key) {
+        for (const scope of messageDomainScopes) {
+            const value = storedConfigurationValue(
+                shouldLoad, userScopedKey(key, scope));
+            if (value !== undefined)
+                return value;
         }
-        async function storedConfigurationValue(shouldLoad, key) {
-            // MAP.get(key) returns null if key is not stored so '?? undefined'
-            // coalesces null to undefined but leaves '' unchanged
-            // which is important because '' is used to indicate that
-            // the global configured should be used for that destination
-            return shouldLoad ? (await MAP.get(key) ?? undefined) : undefined;
+        return undefined;
+    }
+    // JSON stored user configuration values are converted to the text
+    // format, and the configurations are kept by key for their sub-addresses
+    // and rules, where an invalid value, including a sub-address value with
+    // fields not applying to a sub-address, is treated as not stored
+    const jsonUserConfigurations = Object.create(null);
+    function storedUserConfigurationValue(key, isSubaddress = false) {
+        const value = storedScopedConfigurationValue(
+            useStoredUserConfiguration, key);
+        if (value === undefined || !FIXED.jsonConfigurationRegExp.test(value))
+            return value;
+        const [configuration, parsingIssues] =
+            parsedUserConfiguration(value, userConfigurationFormat);
+        const inapplicableFields = isSubaddress
+            ? configuration?.fields.filter(field => FIXED.SUBADDRESS_INAPPLICABLE_FIELDS.includes(field)) ?? []
+            : [];
+        const issues = inapplicableFields.length > 0
+            ? [{ issue: 'fields not applying to a sub-address', fields: inapplicableFields }]
+            : parsingIssues;
+        if (issues.length > 0) {
+            output({
+                messageUser: messageUser,
+                issue: 'invalid JSON user configuration',
+                key: key,
+                issues: issues,
+            }, 'error');
+            return undefined;
         }
+        jsonUserConfigurations[key] = configuration;
+        return configuration.destinationWithRejectTreatment;
+    }
+    function storedGroupConfigurationValue(group) {
+        return storedScopedConfigurationValue(
+            useStoredGroupConfiguration, group);
+    }
+    // Returns the first address configuration value found for the name
+    // in each of the message's domain scopes in priority order, where the
+    // source of each address configuration value found is recorded
+    const addressConfigurationSources = {};
+    function addressConfigurationValue(name) {
+        const [value, source] = scopedAddressConfiguration(name, messageDomainScopes, ENVIRONMENT,
+            key => storedConfigurationValue(useStoredAddressConfiguration, key));
+        if (source !== undefined)
+            addressConfigurationSources[name] = source;
+        return value;
+    }
 
-        // Load and validate stored and environment configuration
-        //
+    const globalDestination = (
+        addressConfigurationValue('DESTINATION')
+    ).trim();
+    const globalRejectTreatment = (
+        addressConfigurationValue('REJECT_TREATMENT')
+    ).trim();
+    const globalSubaddresses = (
+        addressConfigurationValue('SUBADDRESSES')
+    ).trim().toLowerCase();
+    // Not converted to lower case as it may contain regular expressions
+    const globalUsers = (
+        addressConfigurationValue('USERS')
+    ).trim();
+    const globalRules = (
+        addressConfigurationValue('RULES')
+    ).trim();
+    const globalForwardingPolicyText = (
+        addressConfigurationValue('FORWARDING_POLICY')
+    ).trim();
+    const messageLocalPartFormat = localPartFormat(
+        addressConfigurationValue('LOCAL_PART_NORMALIZATION'),
+        addressConfigurationValue('ADDITIONAL_LOCAL_PART_SEPARATORS'),
+        ENVIRONMENT);
 
-        const consoleOutputLevel = CONSOLE_OUTPUT_LEVEL;
-        const useStoredAddressConfiguration =
-            booleanFromString(USE_STORED_ADDRESS_CONFIGURATION);
-        const useStoredUserConfiguration =
-            booleanFromString(USE_STORED_USER_CONFIGURATION);
-
-        const globalDestination = (
-            await storedConfigurationValue(useStoredAddressConfiguration,
-                '@DESTINATION')
-            ?? DESTINATION
-        ).trim();
-        const globalRejectTreatment = (
-            await storedConfigurationValue(useStoredAddressConfiguration,
-                '@REJECT_TREATMENT')
-            ?? REJECT_TREATMENT
-        ).trim();
-        const globalSubaddresses = (
-            await storedConfigurationValue(useStoredAddressConfiguration,
-                '@SUBADDRESSES')
-            ?? SUBADDRESSES
-        ).trim().toLowerCase();
-        const globalUsers = (
-            await storedConfigurationValue(useStoredAddressConfiguration,
-                '@USERS')
-            ?? USERS
-        ).trim().toLowerCase();
-
-        const recoverableForwardImplementationErrorRegExp =
-            new RegExp(CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP);
-
-        const formatValidEmailAddressRegExp =
-            new RegExp(FORMAT_VALID_EMAIL_ADDRESS_REGEXP);
-        const formatValidCustomHeaderRegExp =
-            new RegExp(FORMAT_VALID_CUSTOM_HEADER_REGEXP);
-
-        const customHeader =
-            validateCustomHeader(CUSTOM_HEADER);
-        const customHeaderFail =
-            CUSTOM_HEADER_FAIL.trim();
-        const customHeaderPass =
-            CUSTOM_HEADER_PASS.trim();
-
-        const CONFIGURATION = {
-            recoverableForwardImplementationErrorRegExp: recoverableForwardImplementationErrorRegExp,
-            consoleOutputLevel: consoleOutputLevel,
-            consoleOutput: consoleOutput,
-            forwardToPrimaryDestination: forwardToPrimaryDestination,
-        };
+    const globalForwardingPolicy =
+        FIXED.parsedForwardingPolicy(globalForwardingPolicyText)
+        ?? FIXED.parsedForwardingPolicy(DEFAULTS.FORWARDING_POLICY);
 
-        // Derived constants
-        //
+    const userAliasMaxDepth = FIXED.numericConfiguration(ENVIRONMENT, 'USER_ALIAS_MAX_DEPTH');
+    const groupMaxDepth = FIXED.numericConfiguration(ENVIRONMENT, 'GROUP_MAX_DEPTH');
 
-        const startsWithLocalPartSeparatorRegExp =
-            new RegExp(`^${escape(FORMAT_LOCAL_PART_SEPARATOR)}`);
-        const startsWithLocalPartOrDomainSeparatorRegExp =
-            new RegExp(`^(${escape('@')}|${escape(FORMAT_LOCAL_PART_SEPARATOR)})`);
+    const formatValidEmailAddressRegExp =
+        new RegExp(FORMAT_VALID_EMAIL_ADDRESS_REGEXP);
+    const destinationFormat = {
+        primaryAddressSeparator: FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+        backupAddressSeparator: FORMAT_BACKUP_ADDRESS_SEPARATOR,
+        localPartSeparator: FORMAT_LOCAL_PART_SEPARATOR,
+        validEmailAddressRegExp: formatValidEmailAddressRegExp,
+        isValidEmailAddress: isValidEmailAddress,
+    };
+    const userConfigurationFormat = {
+        primaryAddressSeparator: FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+        backupAddressSeparator: FORMAT_BACKUP_ADDRESS_SEPARATOR,
+        localPartSeparator: FORMAT_LOCAL_PART_SEPARATOR,
+        rejectSeparator: FORMAT_REJECT_SEPARATOR,
+        ruleSeparator: FORMAT_RULE_SEPARATOR,
+    };
 
-        // Helper methods dependent on configuration
-        //
 
-        function validateCustomHeader(customHeader) {
-            const customHeaderTrimmed = customHeader.trim();
-            if (formatValidCustomHeaderRegExp.test(customHeaderTrimmed))
-                return customHeaderTrimmed;
-            else
-                throw (`Invalid custom header ${customHeaderTrimmed}`);
-        }
-        // Return an object with valid and invalid backup addresses for a primary
-        // destination after
-        // - trimming whitespace
-        // - prepend the message's user to the destination if it begins with
-        //   either FORMAT_LOCAL_PART_SEPARATOR or '@'
-        function validatePrimaryDestination(primaryDestinationText) {
-            return primaryDestinationText.split(FORMAT_BACKUP_ADDRESS_SEPARATOR).reduce(
-                (newPrimaryDestination, basicDestination) => {
-                    let backupDestination = FIXED.prepend(basicDestination.trim(),
-                        [{ test: FORMAT_LOCAL_PART_SEPARATOR, prepend: messageUser },
-                        { test: '@', prepend: messageUser }]
-                    );
-                    if (isValidEmailAddress(backupDestination, formatValidEmailAddressRegExp)) {
-                        newPrimaryDestination.validBackup.push(backupDestination);
-                    } else if (backupDestination !== '') {
-                        newPrimaryDestination.invalidBackup.push(backupDestination);
-                    }
-                    return newPrimaryDestination;
-                },
-                { validBackup: [], invalidBackup: [] }
-            );
-        }
-        function validateCompoundDestination(compoundDestinationText) {
-            return compoundDestinationText.split(FORMAT_PRIMARY_ADDRESS_SEPARATOR).reduce(
-                (newCompoundDestination, primaryDestinationText) => {
-                    const nonDedupedprimaryDestination =
-                        validatePrimaryDestination(primaryDestinationText);
-                    const dedupedPrimaryDestination = nonDedupedprimaryDestination.validBackup.reduce(
-                        (newPrimaryDestination, destination) => {
-                            if (!newCompoundDestination.validBackup.includes(destination)) {
-                                newCompoundDestination.validBackup.push(destination);
-                                newPrimaryDestination.push(destination);
-                            } else {
-                                newCompoundDestination.duplicateBackup.push(destination);
-                            };
-                            return newPrimaryDestination;
-                        }, []);
-                    if (dedupedPrimaryDestination.length > 0)
-                        newCompoundDestination.validPrimary.push(dedupedPrimaryDestination);
-                    newCompoundDestination.invalidBackup.concat(nonDedupedprimaryDestination.invalidBackup);
-                    return newCompoundDestination;
-                },
-                { validPrimary: [], validBackup: [], invalidBackup: [], duplicateBackup: [] }
-            );
-        }
-        function warnAboutBadDestinations(messageUser, validatedCompoundDestination, destinationType, configuration) {
-            [
-                {
-                    description: 'invalidly formatted',
-                    destinations: validatedCompoundDestination.invalidBackup
-                },
-                {
-                    description: 'duplicate',
-                    destinations: validatedCompoundDestination.duplicateBackup
-                },
-            ].map(issue => {
-                if (issue.destinations.length > 0)
-                    configuration.consoleOutput({
-                        messageUser: messageUser,
-                        issue: issue.description,
-                        destinationType: destinationType,
-                        destinations: issue.destinations,
-                    }, 'warn', configuration);
+    // Derived constants
+    //
+
+    const startsWithLocalPartSeparatorRegExp =
+        new RegExp(`^${escape(FORMAT_LOCAL_PART_SEPARATOR)}`);
+    const startsWithLocalPartOrDomainSeparatorRegExp =
+        new RegExp(`^(${escape('@')}|${escape(FORMAT_LOCAL_PART_SEPARATOR)})`);
+
+    // Helper methods dependent on configuration
+    //
+
+    function validateCompoundDestination(compoundDestinationText) {
+        return validatedCompoundDestination(compoundDestinationText, destinationFormat,
+            destinationUser, destinationPlaceholderValues);
+    }
+    function isGroupReference(primaryDestinationText) {
+        return FIXED.isGroupReference(primaryDestinationText, FORMAT_GROUP_PREFIX);
+    }
+    function isRejectReason(rejectTreatment) {
+        return FIXED.isRejectReason(rejectTreatment, FORMAT_PRIMARY_ADDRESS_SEPARATOR, FORMAT_GROUP_PREFIX);
+    }
+    // Returns the compound destination with each primary destination which
+    // is a group reference replaced by the group's stored compound
+    // destination, which is itself expanded recursively.
+    // A group reference which is not found, is in a cycle or exceeds the
+    // maximum depth is left as is so it is treated as invalidly formatted.
+    // Any duplicates resulting from the expansion are removed when the
+    // compound destination is validated.
+    function expandedCompoundDestination(compoundDestinationText, groupChain = []) {
+        const primaryDestinationTexts = [];
+        for (const primaryDestinationText of compoundDestinationText
+            .split(FORMAT_PRIMARY_ADDRESS_SEPARATOR)) {
+            if (!isGroupReference(primaryDestinationText)) {
+                primaryDestinationTexts.push(primaryDestinationText);
+                continue;
+            }
+            const group = primaryDestinationText.trim().toLowerCase();
+            const issue = groupChain.includes(group)
+                ? 'group cycle'
+                : groupChain.length >= groupMaxDepth
+                    ? 'group chain exceeds maximum depth'
+                    : undefined;
+            const groupCompoundDestinationText = issue === undefined
+                ? storedGroupConfigurationValue(group)
+                : undefined;
+            if (groupCompoundDestinationText === undefined) {
+                output({
+                    messageUser: messageUser,
+                    issue: issue ?? 'group not found',
+                    groupChain: [...groupChain, group],
+                }, issue !== undefined ? 'error' : 'warn');
+                primaryDestinationTexts.push(primaryDestinationText);
+            } else {
+                primaryDestinationTexts.push(
+                    expandedCompoundDestination(
+                        groupCompoundDestinationText, [...groupChain, group]));
+            }
+        }
+        return primaryDestinationTexts.join(FORMAT_PRIMARY_ADDRESS_SEPARATOR);
+    }
+    // Returns the forwarding policy and compound destination of a
+    // compound destination which is optionally prefixed by its own
+    // forwarding policy in brackets, e.g. '[quorum:2] a@x.com, b@y.com',
+    // where the global forwarding policy applies if there is no prefix
+    // or it is invalidly formatted
+    function forwardingPolicyAndCompoundDestination(compoundDestinationText) {
+        const [, forwardingPolicyText, unprefixedCompoundDestinationText] =
+            compoundDestinationText.match(FIXED.forwardingPolicyPrefixRegExp) ?? [];
+        if (forwardingPolicyText === undefined)
+            return [globalForwardingPolicy, compoundDestinationText];
+        const forwardingPolicy = FIXED.parsedForwardingPolicy(forwardingPolicyText);
+        if (forwardingPolicy === undefined)
+            output({
+                messageUser: messageUser,
+                issue: 'invalidly formatted forwarding policy',
+                forwardingPolicy: forwardingPolicyText,
+            }, 'warn');
+        return [forwardingPolicy ?? globalForwardingPolicy, unprefixedCompoundDestinationText];
+    }
+    function compoundDestinationImage(validatedCompoundDestination) {
+        return validatedCompoundDestination.map(
+            primaryDestination =>
+                primaryDestination.join(FORMAT_BACKUP_ADDRESS_SEPARATOR)
+        ).join(FORMAT_PRIMARY_ADDRESS_SEPARATOR);
+    }
+    // Returns true if the message's sender matches any of the sender
+    // patterns, each of which is either:
+    // - an exact address, e.g. 'sender@domain.com',
+    // - a domain, e.g. '@domain.com', or
+    // - a glob or regular expression pattern, e.g. '*@*.domain.com'
+    function senderMatches(senderPatterns) {
+        const sender = envelope.from.trim().toLowerCase();
+        return senderPatterns.split(FORMAT_PRIMARY_ADDRESS_SEPARATOR)
+            .map(s => s.trim()).filter(Boolean)
+            .some(senderPattern =>
+                FIXED.isPattern(senderPattern)
+                    ? FIXED.patternRegExp(senderPattern).test(sender)
+                    : senderPattern.startsWith('@')
+                        ? sender.endsWith(senderPattern.toLowerCase())
+                        : sender === senderPattern.toLowerCase());
+    }
+    // Returns true if the message has the header and, if a header value
+    // pattern is given, the header's value matches it, where the pattern
+    // is either:
+    // - text which the value contains, e.g. 'newsletter', or
+    // - a glob or regular expression pattern matching the whole value,
+    //   e.g. 'auto-*'
+    // given the header name and pattern syntax:
+    //     `${headerName} ${headerValuePattern}`
+    function headerMatches(headerNameWithValuePattern) {
+        const headerName = headerNameWithValuePattern.split(/\s/, 1)[0];
+        const headerValuePattern = headerNameWithValuePattern
+            .slice(headerName.length).trim();
+        const headerValue = envelope.headers.get(headerName);
+        if (headerValue === null || headerValue === undefined)
+            return false;
+        return headerValuePattern === ''
+            || (FIXED.isPattern(headerValuePattern)
+                ? FIXED.patternRegExp(headerValuePattern).test(headerValue.trim())
+                : headerValue.toLowerCase().includes(headerValuePattern.toLowerCase()));
+    }
+    // Returns true if the current time is within the schedule, which is
+    // a space-separated list of the following optional terms, all of
+    // which must match:
+    // - days or day ranges, e.g. 'mon-fri,sun'
+    // - a time range where the end is excluded, e.g. '09:00-17:30', and
+    //   which spans midnight if the end is before the start
+    // - dates or date ranges, e.g. '2024-12-24..2024-12-26,2025-01-01'
+    // - an IANA time zone, e.g. 'Europe/London', in which the days,
+    //   times and dates are evaluated (defaults to 'UTC')
+    // Throws a RangeError if the time zone or any other term is invalid
+    function scheduleMatches(schedule) {
+        const terms = schedule.split(/\s+/).filter(Boolean);
+        const daysTerm = terms.find(term => FIXED.scheduleDaysRegExp.test(term));
+        const timesTerm = terms.find(term => FIXED.scheduleTimesRegExp.test(term));
+        const datesTerm = terms.find(term => FIXED.scheduleDatesRegExp.test(term));
+        const otherTerms = terms.filter(
+            term => ![daysTerm, timesTerm, datesTerm].includes(term));
+        if (otherTerms.length > 1)
+            throw new RangeError(`Invalid schedule terms ${otherTerms.join(' ')}`);
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: otherTerms.at(0) ?? 'UTC',
+                weekday: 'short',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+            }).formatToParts(snapshot.time).map(part => [part.type, part.value]));
+        const day = FIXED.SCHEDULE_DAYS.indexOf(parts.weekday.toLowerCase());
+        const time = `${parts.hour}:${parts.minute}`;
+        const date = `${parts.year}-${parts.month}-${parts.day}`;
+        // Returns true if the value is within the range, which wraps
+        // around if its end is before its start
+        function isWithin(value, start, end, isEndExcluded) {
+            const isBeforeEnd = isEndExcluded ? value < end : value <= end;
+            return start <= end
+                ? start <= value && isBeforeEnd
+                : start <= value || isBeforeEnd;
+        }
+        const daysMatch = daysTerm === undefined
+            || daysTerm.toLowerCase().split(',').some(dayRange => {
+                const [start, end = start] = dayRange.split('-')
+                    .map(d => FIXED.SCHEDULE_DAYS.indexOf(d));
+                return isWithin(day, start, end, false);
+            });
+        const timesMatch = timesTerm === undefined
+            || isWithin(time, ...timesTerm.match(FIXED.scheduleTimesRegExp).slice(1), true);
+        const datesMatch = datesTerm === undefined
+            || datesTerm.split(',').some(dateRange => {
+                const [start, end = start] = dateRange.split('..');
+                return start <= date && date <= end;
             });
+        return daysMatch && timesMatch && datesMatch;
+    }
+    // The rule condition types and the methods which match each of them
+    // against the message given the condition's argument
+    const ruleConditionMatchers = {
+        from: senderMatches,
+        header: headerMatches,
+        schedule: scheduleMatches,
+    };
+    // Returns the rules in a set of rules separated by
+    // FORMAT_RULE_SEPARATOR, where each rule has the syntax:
+    //     `${conditionType} ${conditionArgument} ${FIXED.RULE_OUTCOME_SEPARATOR} ${outcome}`
+    // Invalidly formatted rules are skipped with a warning
+    function parsedRules(rulesText, ruleSource) {
+        return rulesText.split(FORMAT_RULE_SEPARATOR)
+            .map(s => s.trim()).filter(Boolean)
+            .reduce((rules, ruleText) => {
+                const outcomeSeparatorIndex = ruleText.indexOf(FIXED.RULE_OUTCOME_SEPARATOR);
+                const conditionText = ruleText.slice(0, outcomeSeparatorIndex).trim();
+                const conditionType = conditionText.split(/\s/, 1)[0].toLowerCase();
+                const outcome = ruleText
+                    .slice(outcomeSeparatorIndex + FIXED.RULE_OUTCOME_SEPARATOR.length).trim();
+                if (outcomeSeparatorIndex >= 0
+                    && Object.hasOwn(ruleConditionMatchers, conditionType)
+                    && outcome !== '')
+                    rules.push({
+                        text: ruleText,
+                        source: ruleSource,
+                        conditionType: conditionType,
+                        conditionArgument: conditionText.slice(conditionType.length).trim(),
+                        outcome: outcome,
+                    });
+                else
+                    output({
+                        messageUser: messageUser,
+                        issue: 'invalidly formatted rule',
+                        ruleSource: ruleSource,
+                        rule: ruleText,
+                    }, 'warn');
+                return rules;
+            }, []);
+    }
+    // Returns true if the rule's condition matches the message, where
+    // a condition which cannot be evaluated does not match
+    function ruleMatches(rule) {
+        try {
+            return ruleConditionMatchers[rule.conditionType](rule.conditionArgument);
+        } catch (error) {
+            output({
+                messageUser: messageUser,
+                issue: 'invalid rule',
+                ruleSource: rule.source,
+                rule: rule.text,
+                errorMessage: error.message,
+            }, 'warn');
+            return false;
         }
-        function compoundDestinationImage(validatedCompoundDestination) {
-            return validatedCompoundDestination.map(
-                primaryDestination =>
-                    primaryDestination.join(FORMAT_BACKUP_ADDRESS_SEPARATOR)
-            ).join(FORMAT_PRIMARY_ADDRESS_SEPARATOR);
+    }
+
+    // Local-part normalization, where the user and sub-address are
+    // always converted to lower case for comparison with configuration
+    // but may preserve their case for use in destinations
+    for (const localPartNormalization of messageLocalPartFormat.normalizations)
+        if (!['unicode', 'ignore-dots', 'preserve-case'].includes(localPartNormalization))
+            output({
+                issue: 'unknown local-part normalization',
+                localPartNormalization: localPartNormalization,
+            }, 'warn');
+    const { userNormalization, shouldPreserveCase } = messageLocalPartFormat;
+    const subaddressNormalization = { ...userNormalization, ignoreDots: false };
+
+    // Given from RFC 5233 that the email address has the syntax:
+    //     `${LocalPart}@${AbsoluteDomain}`
+    // and LocalPart has the syntax
+    //     `${user}${FORMAT_LOCAL_PART_SEPARATOR}${subaddress}`
+    // where any of the additional local-part separators can be used
+    // instead of FORMAT_LOCAL_PART_SEPARATOR
+    // extract the user and subaddrress
+    //
+    const messageLocalPart = FIXED.addressParts(envelope.to)[0];
+    const messageLocalPartSeparators = messageLocalPartFormat.separators;
+    const [messageUser, messageSubaddress] = addressLocalParts(
+        messageLocalPart, messageLocalPartSeparators, userNormalization);
+    // The user and sub-address used in destinations
+    const [destinationUser, destinationSubaddress] = shouldPreserveCase
+        ? addressLocalParts(
+            messageLocalPart, messageLocalPartSeparators,
+            { ...userNormalization, preserveCase: true })
+        : [messageUser, messageSubaddress];
+
+    // For logging
+    const theEmailImage = emailImage(envelope);
+
+    // The values of the destination template placeholders
+    const destinationPlaceholderValues = {
+        user: destinationUser,
+        sub: destinationSubaddress,
+        domain: messageDomain,
+        sender_domain: addressDomain(envelope.from),
+    };
+
+    // If useStoredUserConfiguration
+    // load stored user configuration
+    // which overrides environment-based configuration (and defaults)
+    const exactUserDestinationWithRejectTreatment
+        = storedUserConfigurationValue(messageUser);
+
+    // The global users are either exact users or user patterns
+    const globalUserEntries = globalUsers
+        .split(FORMAT_PRIMARY_ADDRESS_SEPARATOR)
+        .map(s => s.trim()).filter(Boolean);
+    const exactGlobalUsers = globalUserEntries
+        .filter(entry => !FIXED.isPattern(entry))
+        .map(entry => FIXED.normalizedLocalPart(entry, userNormalization));
+    const messageUserIsGlobalUser = exactGlobalUsers.includes(messageUser);
+    // The first user pattern matching the message user, which is only
+    // needed if the message user was not found exactly either in the
+    // user store or in the set of global users
+    const messageUserPattern =
+        exactUserDestinationWithRejectTreatment === undefined
+            && !messageUserIsGlobalUser
+            ? globalUserEntries.filter(FIXED.isPattern).find(pattern => {
+                try {
+                    return FIXED.patternRegExp(pattern).test(messageUser);
+                } catch (error) {
+                    output({
+                        messageUser: messageUser,
+                        issue: 'invalid user pattern',
+                        pattern: pattern,
+                        errorMessage: error.message,
+                    }, 'warn');
+                    return false;
+                }
+            })
+            : undefined;
+    // A user pattern other than the wildcard '*' may have its own stored
+    // configuration keyed by the pattern itself just like a user
+    const userPatternHasStoredConfiguration =
+        messageUserPattern !== undefined && messageUserPattern !== '*';
+
+    // The exact user's stored configuration overrides that of the user
+    // pattern
+    const unresolvedUserDestinationWithRejectTreatment =
+        exactUserDestinationWithRejectTreatment
+        ?? (userPatternHasStoredConfiguration
+            ? storedUserConfigurationValue(messageUserPattern)
+            : undefined);
+
+    // Resolves a chain of user aliases starting from the stored
+    // configuration value of a user, where a value with the syntax
+    //     `${FIXED.USER_ALIAS_PREFIX}${targetUser}`
+    // is an alias for the target user's stored configuration.
+    // Returns the final target user and its stored configuration value,
+    // or undefined if the chain has a cycle, exceeds the maximum depth or
+    // has a target user which is neither stored nor a global user
+    function resolvedUserAlias(user, value) {
+        const aliasChain = [user];
+        while (value?.trim().startsWith(FIXED.USER_ALIAS_PREFIX)) {
+            const targetUser = FIXED.normalizedLocalPart(value.trim()
+                .slice(FIXED.USER_ALIAS_PREFIX.length).trim(), userNormalization);
+            const hasCycle = aliasChain.includes(targetUser);
+            if (hasCycle || aliasChain.length > userAliasMaxDepth) {
+                output({
+                    email: theEmailImage,
+                    messageUser: messageUser,
+                    issue: hasCycle
+                        ? 'user alias cycle'
+                        : 'user alias chain exceeds maximum depth',
+                    aliasChain: [...aliasChain, targetUser],
+                }, 'error');
+                return undefined;
+            }
+            aliasChain.push(targetUser);
+            value = storedUserConfigurationValue(targetUser);
+            if (value === undefined && !exactGlobalUsers.includes(targetUser)) {
+                output({
+                    email: theEmailImage,
+                    messageUser: messageUser,
+                    issue: 'user alias target not found',
+                    aliasChain: aliasChain,
+                }, 'error');
+                return undefined;
+            }
         }
+        output({
+            messageUser: messageUser,
+            aliasChain: aliasChain,
+        }, 'debug');
+        return { user: aliasChain.at(-1), value: value };
+    }
+    const userIsAlias = unresolvedUserDestinationWithRejectTreatment
+        ?.trim().startsWith(FIXED.USER_ALIAS_PREFIX) ?? false;
+    const userAlias = userIsAlias
+        ? resolvedUserAlias(
+            exactUserDestinationWithRejectTreatment !== undefined
+                ? messageUser
+                : messageUserPattern,
+            unresolvedUserDestinationWithRejectTreatment)
+        : undefined;
+    // A broken alias falls back to the global configuration
+    const userAliasIsBroken = userIsAlias && userAlias === undefined;
+    const userDestinationWithRejectTreatment = userIsAlias
+        ? userAlias?.value
+        : unresolvedUserDestinationWithRejectTreatment;
 
-        // Given from RFC 5233 that the email address has the syntax:
-        //     `${LocalPart}@${AbsoluteDomain}`
-        // and LocalPart has the syntax
-        //     `${user}${FORMAT_LOCAL_PART_SEPARATOR}${subaddress}`
-        // extract the user and subaddrress
-        //
-        const messageLocalPart = message.to.split('@')[0];
-        const [messageUser, messageSubaddress] = addressLocalParts(messageLocalPart, FORMAT_LOCAL_PART_SEPARATOR);
-
-        // For logging
-        const theEmailImage = emailImage(message);
-
-        // If useStoredUserConfiguration
-        // load stored user configuration
-        // which overrides environment-based configuration (and defaults)
-        const userDestinationWithRejectTreatment
-            = await storedConfigurationValue(useStoredUserConfiguration, messageUser);
-        // An empty string is valid (no sub-addresses allowed) and the ??
-        // operator will prevent this value from stored configuration from being
-        // overriden as '' ?? x evaluates to ''
-        const userSubaddresses =
-            (await storedConfigurationValue(
-                useStoredUserConfiguration,
-                messageUser + FORMAT_LOCAL_PART_SEPARATOR))
-                ?.trim().toLowerCase()
-            ?? globalSubaddresses;
-        const userRequiresSubaddress = userSubaddresses
-            .startsWith(FORMAT_LOCAL_PART_SEPARATOR);
-        const userConcreteSubaddresses = userSubaddresses
-            .replace(startsWithLocalPartSeparatorRegExp, '').trim();
-
-        // Given userDestinationWithRejectTreatment has the syntax:
-        //     `${destination}${FORMAT_REJECT_SEPARATOR}${rejectTreatment}`
-        // extract destination and rejectTreatment.
-        // Empty strings for these constants indicate that the global
-        // configuration should override the user configuration
-        // and the || operator allows such an override as '' is falsy
-        // and so '' || x evaluates to x 
-        //
-        const userDestination =
-            userDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(0).trim()
-            || globalDestination;
-        const userRejectTreatment =
-            userDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(1)?.trim()
-            || globalRejectTreatment;
-
-        // The message user is allowed if:
-        // - the specific message user was found in the user store, or
-        // - the global user configuration is a wildcard, or
-        // - the message user is in the set of allowed global users
-        const messageUserIsAllowed =
-            userDestinationWithRejectTreatment !== undefined
-            || globalUsers === '*'
-            || globalUsers.split(FORMAT_PRIMARY_ADDRESS_SEPARATOR)
-                .map(s => s.trim()).includes(messageUser);
-        // The sub-address is allowed if:
-        // - the message user either
-        //     - has no sub-address and users do not require one, or
-        //     - has a sub-address and the sub-address configuration is either
-        //       a wildcard or the user in the set of allowed sub-addresses 
-        const messageSubaddressIsAllowed =
-            messageSubaddress === ''
-                ? !userRequiresSubaddress
-                : userConcreteSubaddresses === '*'
-                || userConcreteSubaddresses.split(FORMAT_PRIMARY_ADDRESS_SEPARATOR)
-                    .map(s => s.trim()).includes(messageSubaddress);
-
-        // Accept forward if the the message user and sub-address are allowed
-        let acceptForwardWasSuccessful = false;
-        if (messageUserIsAllowed && messageSubaddressIsAllowed) {
-            const acceptCompoundDestination =
-                validateCompoundDestination(userDestination);
-            warnAboutBadDestinations(messageUser, acceptCompoundDestination, 'AcceptForward', CONFIGURATION);
-            // Forward with custom header set to customHeaderPass
+    // Returns the stored configuration value with the key of either:
+    // - the alias target user if the user is an alias, or otherwise
+    // - the message user, which overrides that for the user pattern
+    // where the field of a user's JSON configuration, if any, overrides
+    // the value stored with the key, or the key is of a sub-address if
+    // there is no field
+    function storedUserOrUserPatternConfigurationValue(userKey, field) {
+        function storedUserKeyValue(user) {
+            return (field && jsonUserConfigurations[user]?.[field])
+                ?? storedUserConfigurationValue(userKey(user), field === undefined);
+        }
+        if (userIsAlias)
+            return userAliasIsBroken
+                ? undefined
+                : storedUserKeyValue(userAlias.user);
+        return storedUserKeyValue(messageUser)
+            ?? (userPatternHasStoredConfiguration
+                ? storedUserKeyValue(messageUserPattern)
+                : undefined);
+    }
+    // An empty string is valid (no sub-addresses allowed) and the ??
+    // operator will prevent this value from stored configuration from being
+    // overriden as '' ?? x evaluates to ''
+    const storedUserSubaddresses =
+        storedUserOrUserPatternConfigurationValue(
+            user => user + FORMAT_LOCAL_PART_SEPARATOR, 'subaddresses');
+    const userSubaddresses = FIXED.normalizedLocalPart(
+        storedUserSubaddresses?.trim() ?? globalSubaddresses,
+        subaddressNormalization);
+    // If the message has a sub-address then load the stored sub-address
+    // configuration which has the same syntax as the user configuration
+    const subaddressDestinationWithRejectTreatment =
+        messageSubaddress !== ''
+            ? storedUserOrUserPatternConfigurationValue(
+                user => user + FORMAT_LOCAL_PART_SEPARATOR + messageSubaddress)
+            : undefined;
+    const userRequiresSubaddress = userSubaddresses
+        .startsWith(FORMAT_LOCAL_PART_SEPARATOR);
+    const userConcreteSubaddresses = userSubaddresses
+        .replace(startsWithLocalPartSeparatorRegExp, '').trim();
+    // Sub-addresses prefixed with FIXED.SUBADDRESS_DENY_PREFIX are denied
+    // and all others are allowed
+    const userSubaddressEntries = userConcreteSubaddresses
+        .split(FORMAT_PRIMARY_ADDRESS_SEPARATOR)
+        .map(s => s.trim()).filter(Boolean);
+    const userDeniedSubaddresses = userSubaddressEntries
+        .filter(s => s.startsWith(FIXED.SUBADDRESS_DENY_PREFIX))
+        .map(s => s.slice(FIXED.SUBADDRESS_DENY_PREFIX.length).trim());
+    const userAllowedSubaddresses = userSubaddressEntries
+        .filter(s => !s.startsWith(FIXED.SUBADDRESS_DENY_PREFIX));
+    // The sub-address is denied if the message has a sub-address
+    // which is in the set of denied sub-addresses, which is evaluated
+    // before and so overrides any allowed sub-addresses
+    const messageSubaddressIsDenied =
+        messageSubaddress !== ''
+        && userDeniedSubaddresses.includes(messageSubaddress);
+
+    // Given userDestinationWithRejectTreatment has the syntax:
+    //     `${destination}${FORMAT_REJECT_SEPARATOR}${rejectTreatment}`
+    // extract destination and rejectTreatment.
+    // Empty strings for these constants indicate that the global
+    // configuration should override the user configuration
+    // and the || operator allows such an override as '' is falsy
+    // and so '' || x evaluates to x 
+    //
+    const userDestination =
+        userDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(0).trim()
+        || globalDestination;
+    const userRejectTreatment =
+        userDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(1)?.trim()
+        || globalRejectTreatment;
+    // Similarly the sub-address configuration falls back to the user
+    // configuration
+    const subaddressDestination =
+        subaddressDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(0).trim()
+        || userDestination;
+    // except that a denied sub-address falls back first to the global
+    // denied sub-address reject treatment if it is configured
+    const subaddressDenyRejectTreatment = messageSubaddressIsDenied
+        ? (addressConfigurationValue('SUBADDRESS_DENY_REJECT_TREATMENT')).trim()
+        : '';
+    const subaddressRejectTreatment =
+        subaddressDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(1)?.trim()
+        || subaddressDenyRejectTreatment
+        || userRejectTreatment;
+
+    // The message user is allowed if:
+    // - the specific message user was found in the user store, or
+    // - the message user is in the set of allowed global users, or
+    // - the message user matches a user pattern in the set of allowed
+    //   global users, including the wildcard '*'
+    // unless the message user is a broken alias
+    const messageUserIsAllowed =
+        !userAliasIsBroken
+        && (exactUserDestinationWithRejectTreatment !== undefined
+            || messageUserIsGlobalUser
+            || messageUserPattern !== undefined);
+    // The sub-address is allowed if:
+    // - the message user either
+    //     - has no sub-address and users do not require one, or
+    //     - has a sub-address which is not denied and either
+    //         - was found in the user store, or
+    //         - the set of allowed sub-addresses includes either
+    //           a wildcard or the sub-address
+    const messageSubaddressIsAllowed =
+        messageSubaddress === ''
+            ? !userRequiresSubaddress
+            : !messageSubaddressIsDenied
+            && (subaddressDestinationWithRejectTreatment !== undefined
+                || userAllowedSubaddresses.includes('*')
+                || userAllowedSubaddresses.includes(messageSubaddress));
+
+    if (messageUserIsAllowed && messageSubaddressIsDenied)
+        output({
+            email: theEmailImage,
+            action: 'DenyingSubaddress',
+            messageSubaddress: messageSubaddress,
+            denyRule: FIXED.SUBADDRESS_DENY_PREFIX + messageSubaddress,
+            denyRuleSource: storedUserSubaddresses !== undefined ? 'user' : 'global',
+            rejectTreatment: subaddressRejectTreatment,
+        }, 'info');
+
+    // If the message user and sub-address are allowed then the first
+    // rule matching the message, from the user's rules followed by the
+    // global rules, determines the outcome, which is either:
+    // - 'allow' to accept the message,
+    // - 'block' to reject the message, or
+    // - a destination with an optional reject treatment, with the same
+    //   syntax as the user configuration, to accept the message and
+    //   route it to that destination instead.
+    // If no rule matches but any rule has the 'allow' outcome then
+    // only the senders allowed by those rules are accepted
+    const messageRecipientIsAllowed =
+        messageUserIsAllowed && messageSubaddressIsAllowed;
+    const rules = messageRecipientIsAllowed
+        ? [
+            ...parsedRules(
+                storedUserOrUserPatternConfigurationValue(
+                    user => FIXED.USER_RULES_KEY_PREFIX + user, 'rules') ?? '',
+                'user'),
+            ...parsedRules(globalRules, 'global'),
+        ]
+        : [];
+    const matchingRule = rules.find(ruleMatches);
+    const ruleOutcome = matchingRule?.outcome
+        ?? (rules.some(rule => rule.outcome.toLowerCase() === 'allow')
+            ? 'block'
+            : undefined);
+    const ruleOutcomeIsBlock = ruleOutcome?.toLowerCase() === 'block';
+    const ruleDestinationWithRejectTreatment =
+        ruleOutcome !== undefined
+            && !['allow', 'block'].includes(ruleOutcome.toLowerCase())
+            ? ruleOutcome
+            : undefined;
+
+    if (ruleOutcome !== undefined)
+        output({
+            email: theEmailImage,
+            action: 'ApplyingRule',
+            rule: matchingRule?.text ?? null,
+            ruleSource: matchingRule?.source ?? null,
+            outcome: ruleOutcome,
+        }, 'info');
+
+    // Similarly a rule's destination and reject treatment fall back to the
+    // sub-address configuration
+    const messageDestination =
+        ruleDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(0).trim()
+        || subaddressDestination;
+    const messageRejectTreatment =
+        ruleDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(1)?.trim()
+        || subaddressRejectTreatment;
+
+
+    // The configuration source of the message destination and reject
+    // treatment, which is the first to configure them of the rule, the
+    // stored sub-address configuration, the global denied sub-address
+    // reject treatment, the stored user configuration and the address
+    // configuration
+    function hasPart(destinationWithRejectTreatment, index) {
+        return Boolean(destinationWithRejectTreatment
+            ?.split(FORMAT_REJECT_SEPARATOR).at(index)?.trim());
+    }
+    const destinationSource =
+        hasPart(ruleDestinationWithRejectTreatment, 0) ? { source: 'rule', key: null }
+        : hasPart(subaddressDestinationWithRejectTreatment, 0) ? { source: 'kv-subaddress', key: null }
+        : hasPart(userDestinationWithRejectTreatment, 0) ? { source: 'kv-user', key: null }
+        : addressConfigurationSources.DESTINATION;
+    const rejectTreatmentSource =
+        hasPart(ruleDestinationWithRejectTreatment, 1) ? { source: 'rule', key: null }
+        : hasPart(subaddressDestinationWithRejectTreatment, 1) ? { source: 'kv-subaddress', key: null }
+        : subaddressDenyRejectTreatment ? addressConfigurationSources.SUBADDRESS_DENY_REJECT_TREATMENT
+        : hasPart(userDestinationWithRejectTreatment, 1) ? { source: 'kv-user', key: null }
+        : addressConfigurationSources.REJECT_TREATMENT;
+
+    // Returns the forwarding policy and the compound destination, with its
+    // invalid and duplicate destinations, of a destination or reject
+    // treatment
+    function forwarding(destination) {
+        const [forwardingPolicy, compoundDestinationText] =
+            forwardingPolicyAndCompoundDestination(destination);
+        const compoundDestination = validateCompoundDestination(
+            expandedCompoundDestination(compoundDestinationText));
+        return {
+            forwardingPolicy: forwardingPolicy,
+            compoundDestination: compoundDestination.validPrimary,
+            invalidDestinations: compoundDestination.invalidBackup,
+            duplicateDestinations: compoundDestination.duplicateBackup,
+        };
+    }
+
+    // Accept forward if the the message user and sub-address are allowed
+    // and the message is not blocked by a rule
+    const acceptForwarding = messageRecipientIsAllowed && !ruleOutcomeIsBlock
+        ? forwarding(messageDestination)
+        : null;
+
+    // Otherwise, or if accept forwarding fails, reject forward if there are
+    // some valid reject forward destinations and otherwise direct reject
+    // with the reject reason
+    const userRejectReason =
+        isRejectReason(messageRejectTreatment) && messageRejectTreatment
+        || isRejectReason(subaddressRejectTreatment) && subaddressRejectTreatment
+        || isRejectReason(userRejectTreatment) && userRejectTreatment
+        || isRejectReason(globalRejectTreatment) && globalRejectTreatment
+        || isRejectReason(REJECT_TREATMENT) && REJECT_TREATMENT.trim()
+        || DEFAULTS.REJECT_TREATMENT.trim();
+    // Prepend the message's local part if the reject reason begin's
+    // with a non-alphanumeric
+    const rejectForwarding = {
+        ...forwarding(messageRejectTreatment),
+        rejectReason: FIXED.prepend(
+            userRejectReason,
+            [{ test: FIXED.startsWithNonAlphanumericRegExp, prepend: messageLocalPart }]
+        ),
+    };
+
+    if (notLoadedKeys.length > 0)
+        throw new StoredConfigurationNotLoaded(notLoadedKeys);
+
+    return deeplyFrozen({
+        from: envelope.from,
+        to: envelope.to,
+        user: messageUser,
+        subaddress: messageSubaddress,
+        userPattern: messageUserPattern ?? null,
+        aliasUser: userAlias?.user ?? null,
+        recipientIsAllowed: messageRecipientIsAllowed,
+        subaddressIsDenied: messageSubaddressIsDenied,
+        rule: ruleOutcome !== undefined
+            ? {
+                rule: matchingRule?.text ?? null,
+                ruleSource: matchingRule?.source ?? null,
+                outcome: ruleOutcome,
+            }
+            : null,
+        sources: {
+            destination: destinationSource,
+            rejectTreatment: rejectTreatmentSource,
+        },
+        acceptForwarding: acceptForwarding,
+        rejectForwarding: rejectForwarding,
+        action: acceptForwarding?.compoundDestination.length > 0
+            ? 'accept-forward'
+            : rejectForwarding.compoundDestination.length > 0
+                ? 'reject-forward'
+                : 'direct-reject',
+        logs: logs,
+    });
+}
+
+
+// Loads the configuration snapshot needed to resolve the routing of a
+// message given its envelope and the environment-based configuration, which
+// has the environment-based configuration, the time and the stored
+// configuration values loaded from the MAP, where a key which is not stored
+// has a null value. The stored configuration values have no prototype so
+// that any key, such as '__proto__', is loaded as its own property.
+// The stored configuration values needed depend on those already loaded, so
+// resolving is repeated, loading all the values found to be needed
+// concurrently, until it succeeds, starting with any stored configuration
+// values already loaded. Only values whose keys depend on another stored
+// value, such as those of user aliases, groups and user patterns, need
+// another pass.
+export async function loadedConfigurationSnapshot(envelope, environment, stored = {}) {
+    const ENVIRONMENT = { ...DEFAULTS, ...environment };
+    const snapshot = {
+        environment: ENVIRONMENT,
+        stored: Object.assign(Object.create(null), stored),
+        time: ENVIRONMENT.now(),
+    };
+    for (; ;) {
+        try {
+            resolveRoutingPlan(envelope, snapshot);
+            return snapshot;
+        } catch (error) {
+            if (!(error instanceof StoredConfigurationNotLoaded))
+                throw error;
+            await Promise.all(error.keys.map(async key => {
+                snapshot.stored[key] = await ENVIRONMENT.MAP.get(key) ?? null;
+            }));
+        }
+    }
+}
+
+// Executes the routing plan of a message given the environment-based
+// configuration, by accept forwarding, then if that fails reject forwarding,
+// and then if that fails direct rejecting, where forwarding which fails
+// recoverably may be deferred.
+// Returns the outcome of the message, which is either 'accepted',
+// 'deferred', 'quarantined', 'failed' or 'rejected'.
+export async function executeRoutingPlan(message, plan, environment) {
+    // Environment-based configuration which overrides `DEFAULTS`
+    //
+    const ENVIRONMENT = { ...DEFAULTS, ...environment };
+    const {
+        FORMAT_VALID_CUSTOM_HEADER_REGEXP,
+
+        CUSTOM_HEADER,
+        CUSTOM_HEADER_FAIL,
+        CUSTOM_HEADER_PASS,
+
+        emailImage,
+        consoleOutput,
+        forwardToCompoundDestination,
+    } = ENVIRONMENT;
+
+    const formatValidCustomHeaderRegExp =
+        new RegExp(FORMAT_VALID_CUSTOM_HEADER_REGEXP);
+    const customHeader =
+        validateCustomHeader(CUSTOM_HEADER);
+    const customHeaderFail =
+        CUSTOM_HEADER_FAIL.trim();
+    const customHeaderPass =
+        CUSTOM_HEADER_PASS.trim();
+
+    const CONFIGURATION = forwardingConfiguration(ENVIRONMENT);
+
+    // Helper methods dependent on configuration
+    //
+
+    function validateCustomHeader(customHeader) {
+        const customHeaderTrimmed = customHeader.trim();
+        if (formatValidCustomHeaderRegExp.test(customHeaderTrimmed))
+            return customHeaderTrimmed;
+        else
+            throw (`Invalid custom header ${customHeaderTrimmed}`);
+    }
+    function warnAboutBadDestinations(messageUser, forwarding, destinationType, configuration) {
+        [
+            {
+                description: 'invalidly formatted',
+                destinations: forwarding.invalidDestinations
+            },
+            {
+                description: 'duplicate',
+                destinations: forwarding.duplicateDestinations
+            },
+        ].map(issue => {
+            if (issue.destinations.length > 0)
+                configuration.consoleOutput({
+                    messageUser: messageUser,
+                    issue: issue.description,
+                    destinationType: destinationType,
+                    destinations: issue.destinations,
+                }, 'warn', configuration);
+        });
+    }
+
+    const { acceptForwarding, rejectForwarding } = plan;
+
+    // For logging
+    const theEmailImage = emailImage(message);
+    for (const [record, level] of plan.logs)
+        consoleOutput(record, level, CONFIGURATION);
+
+    // Defers forwarding which failed with a recoverable error by sending
+    // the raw message and its undelivered destinations to the queue if
+    // deferred delivery is enabled, and otherwise rethrows the error
+    async function deferForwarding(error, actionType, customHeaderValue) {
+        const { deferredDelivery } = CONFIGURATION;
+        if (!(error instanceof RecoverableForwardError) || !deferredDelivery.isEnabled
+            || message.rawSize > deferredDelivery.maxRawSize)
+            throw error;
+        // Accept forwarding is finally followed by reject forwarding
+        const delay = deferredDelivery.delay(1);
+        await deferredDelivery.queue.send({
+            from: message.from,
+            to: message.to,
+            raw: await new Response(message.raw).arrayBuffer(),
+            attempt: 1,
+            actionType: actionType,
+            compoundDestination: error.undelivered.compoundDestination,
+            forwardingPolicy: error.undelivered.forwardingPolicy,
+            customHeader: [customHeader, customHeaderValue],
+            rejectCompoundDestination: actionType === 'AcceptForwarding'
+                ? rejectForwarding.compoundDestination
+                : [],
+            rejectForwardingPolicy: rejectForwarding.forwardingPolicy,
+            rejectCustomHeader: [customHeader, customHeaderFail],
+            rejectReason: rejectForwarding.rejectReason,
+        }, { contentType: 'v8', delaySeconds: delay });
+        consoleOutput({
+            email: theEmailImage,
+            action: 'DeferForwarding',
+            actionType: actionType,
+            compoundDestination: error.undelivered.compoundDestination,
+            attempt: 1,
+            delay: delay,
+        }, 'info', CONFIGURATION);
+    }
+
+    // Archives the message with its outcome and accept forwarding, so
+    // that it can be replayed to the destinations it was accepted for
+    async function archive(outcome) {
+        await archiveMessage(message.raw, {
+            outcome: outcome,
+            size: message.rawSize,
+            compoundDestination: acceptForwarding?.compoundDestination ?? [],
+            forwardingPolicy: acceptForwarding?.forwardingPolicy ?? null,
+            customHeader: [customHeader, customHeaderPass],
+            rejectReason: rejectForwarding.rejectReason,
+        }, theEmailImage, CONFIGURATION);
+    }
+
+    let acceptForwardWasSuccessful = false;
+    if (acceptForwarding !== null) {
+        warnAboutBadDestinations(plan.user, acceptForwarding, 'AcceptForward', CONFIGURATION);
+        // Forward with custom header set to customHeaderPass
+        try {
             acceptForwardWasSuccessful =
                 await forwardToCompoundDestination(
                     message,
                     'AcceptForwarding',
-                    acceptCompoundDestination.validPrimary,
+                    acceptForwarding.compoundDestination,
                     new Headers({ [customHeader]: customHeaderPass }),
                     theEmailImage,
-                    CONFIGURATION
+                    CONFIGURATION,
+                    acceptForwarding.forwardingPolicy
                 );
+        } catch (error) {
+            await deferForwarding(error, 'AcceptForwarding', customHeaderPass);
+            return 'deferred';
         }
+    }
+
+    if (acceptForwardWasSuccessful)
+        return 'accepted';
+
+    // If accept forward failed or none was attempted then reject forward
+    let rejectForwardWasSuccessful = false;
+    // Reject forward if there are some valid reject forward destinations
+    if (rejectForwarding.compoundDestination.length > 0) {
+        warnAboutBadDestinations(plan.user, rejectForwarding, 'RejectForward', CONFIGURATION);
+        try {
+            rejectForwardWasSuccessful =
+                await forwardToCompoundDestination(
+                    message,
+                    'RejectForwarding',
+                    rejectForwarding.compoundDestination,
+                    new Headers({ [customHeader]: customHeaderFail }),
+                    theEmailImage,
+                    CONFIGURATION,
+                    rejectForwarding.forwardingPolicy
+                );
+        } catch (error) {
+            await deferForwarding(error, 'RejectForwarding', customHeaderFail);
+            return 'deferred';
+        }
+    }
+
+    // If reject forward failed or none was attempted then direct reject
+    if (!rejectForwardWasSuccessful) {
+        message.setReject(rejectForwarding.rejectReason);
+        consoleOutput({
+            email: theEmailImage,
+            action: 'DirectRejecting',
+            rejectReason: rejectForwarding.rejectReason,
+        }, 'info', CONFIGURATION);
+    }
+
+    // The message failed if any forward was attempted
+    const forwardWasAttempted =
+        acceptForwarding?.compoundDestination.length > 0
+        || rejectForwarding.compoundDestination.length > 0;
+    const outcome = rejectForwardWasSuccessful
+        ? 'quarantined'
+        : (forwardWasAttempted ? 'failed' : 'rejected');
+    await archive(outcome);
+    return outcome;
+}
+
+// Explains how a message would be routed given its envelope, which has the
+// recipient `to`, the sender `from` and optionally its `headers`, and the
+// environment-based configuration, without forwarding or rejecting it.
+// Returns the routing plan of the message.
+// Throws a TypeError if a header has an invalid name or value.
+export async function explain(envelope, environment = {}) {
+    const message = {
+        from: envelope.from,
+        to: envelope.to,
+        headers: new Headers(envelope.headers ?? {}),
+        rawSize: null,
+    };
+    return resolveRoutingPlan(message,
+        await loadedConfigurationSnapshot(message, environment));
+}
+
+// Returns the stored global address configuration values which are
+// validated, loaded from the MAP if stored address configuration is used,
+// where a key which is not stored has a null value
+async function storedGlobalConfiguration(ENVIRONMENT) {
+    const {
+        USE_STORED_ADDRESS_CONFIGURATION,
+        MAP,
+    } = ENVIRONMENT;
 
-        // If accept forward failed or none was attempted then reject forward
-        if (!acceptForwardWasSuccessful) {
-            const rejectCompoundDestination =
-                validateCompoundDestination(userRejectTreatment);
-            let rejectForwardWasSuccessful = false;
-            // Reject forward if there are some valid reject forward destinations
-            if (rejectCompoundDestination.validPrimary.length > 0) {
-                warnAboutBadDestinations(messageUser, rejectCompoundDestination, 'RejectForward', CONFIGURATION);
-                rejectForwardWasSuccessful =
-                    await forwardToCompoundDestination(
+    if (!['true', '1'].includes(USE_STORED_ADDRESS_CONFIGURATION.trim().toLowerCase()))
+        return {};
+    return Object.fromEntries(await Promise.all(
+        FIXED.VALIDATED_GLOBAL_CONFIGURATION_NAMES.map(async name =>
+            [`@${name}`, await MAP.get(`@${name}`) ?? null])));
+}
+
+// Returns the issues with the environment-based configuration and the
+// stored global address configuration values, each of which has the
+// severity:
+// - 'error' if messages cannot be routed safely, where the separators and
+//   regular expressions are validated first and the configuration values
+//   are only validated if they have no errors
+// - 'warn' if messages are routed with a fallback, which for a
+//   configuration value is to ignore its invalid entries
+function configurationIssues(ENVIRONMENT, stored) {
+    const {
+        CONSOLE_OUTPUT_LEVEL,
+        CUSTOM_HEADER,
+        FORMAT_VALID_CUSTOM_HEADER_REGEXP,
+        FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+        BACKUP_STRATEGY,
+        FORWARDING_ERROR_POLICY,
+        DEFERRED_DELIVERY,
+        QUEUE,
+        SEND_EMAIL,
+    } = ENVIRONMENT;
+
+    const issues = [];
+
+    // Invalid separators, or separators which are not all different, would
+    // split destinations differently to how they were intended, and an
+    // empty group prefix would make every primary destination a group
+    FIXED.SEPARATOR_NAMES.forEach((name, index) => {
+        const separator = ENVIRONMENT[name];
+        if (separator === '' || separator.includes('*') || separator.includes('@'))
+            issues.push({ issue: 'invalid separator', severity: 'error', name: name, separator: separator });
+        // Clashing separators are reported once by the first of them
+        const clashingNames = FIXED.SEPARATOR_NAMES.filter(other => ENVIRONMENT[other] === separator);
+        if (clashingNames.length > 1 && clashingNames[0] === name)
+            issues.push({ issue: 'separators not all different', severity: 'error', names: clashingNames, separator: separator });
+    });
+    for (const name of FIXED.REGEXP_NAMES) {
+        try {
+            new RegExp(ENVIRONMENT[name]);
+        } catch (error) {
+            issues.push({
+                issue: 'uncompilable regular expression',
+                severity: 'error',
+                name: name,
+                regExp: ENVIRONMENT[name],
+                errorMessage: error.message,
+            });
+        }
+    }
+    if (!issues.some(issue => issue.name === 'FORMAT_VALID_CUSTOM_HEADER_REGEXP')
+        && !new RegExp(FORMAT_VALID_CUSTOM_HEADER_REGEXP).test(CUSTOM_HEADER.trim()))
+        issues.push({ issue: 'invalid custom header', severity: 'error', name: 'CUSTOM_HEADER', customHeader: CUSTOM_HEADER.trim() });
+    if (!FIXED.consoleOutputLevelRegExp.test(String(CONSOLE_OUTPUT_LEVEL).trim()))
+        issues.push({
+            issue: 'invalid console output level',
+            severity: 'warn',
+            name: 'CONSOLE_OUTPUT_LEVEL',
+            consoleOutputLevel: CONSOLE_OUTPUT_LEVEL,
+            fallback: DEFAULTS.CONSOLE_OUTPUT_LEVEL,
+        });
+    if (!FIXED.backupStrategyRegExp.test(BACKUP_STRATEGY.replace(/\s/g, '')))
+        issues.push({
+            issue: 'invalidly formatted backup strategy',
+            severity: 'warn',
+            name: 'BACKUP_STRATEGY',
+            backupStrategy: BACKUP_STRATEGY,
+            fallback: DEFAULTS.BACKUP_STRATEGY,
+        });
+    for (const entry of FIXED.parsedForwardingErrorPolicy(
+        FORWARDING_ERROR_POLICY, FORMAT_PRIMARY_ADDRESS_SEPARATOR).invalidEntries)
+        issues.push({
+            issue: 'invalidly formatted forwarding error policy',
+            severity: 'warn',
+            name: 'FORWARDING_ERROR_POLICY',
+            forwardingErrorPolicy: entry,
+        });
+    for (const [name, regExp] of Object.entries(FIXED.NUMERIC_CONFIGURATION_REGEXPS))
+        if (!regExp.test(String(ENVIRONMENT[name]).trim()))
+            issues.push({
+                issue: 'invalid number',
+                severity: 'warn',
+                name: name,
+                value: ENVIRONMENT[name],
+                fallback: DEFAULTS[name],
+            });
+    // Deferred delivery is disabled, so that recoverable failures are
+    // retried by the sender, without the bindings it needs
+    const missingDeferredDeliveryBindings = Object.entries({ QUEUE, SEND_EMAIL })
+        .filter(([, binding]) => !binding).map(([name]) => name);
+    if (['true', '1'].includes(DEFERRED_DELIVERY.trim().toLowerCase())
+        && missingDeferredDeliveryBindings.length > 0)
+        issues.push({
+            issue: 'deferred delivery bindings missing',
+            severity: 'warn',
+            name: 'DEFERRED_DELIVERY',
+            bindings: missingDeferredDeliveryBindings,
+        });
+    if (issues.some(issue => issue.severity === 'error'))
+        return issues;
+
+    const {
+        placeholderValues,
+        destinationIssues,
+        subaddressesIssues,
+        usersIssues,
+        isNeverValidDestination,
+        isRejectReason,
+    } = configurationValidators(ENVIRONMENT);
+    // A destination which never validates falls back to the reject
+    // treatment, and a reject treatment which never validates falls back
+    // to the default reject reason
+    function compoundDestinationIssues(destination) {
+        return [
+            ...destinationIssues(destination, placeholderValues.user),
+            ...(isNeverValidDestination(destination, placeholderValues.user)
+                ? [{ issue: 'destination never validates' }]
+                : []),
+        ];
+    }
+    // Additional local-part separators are ignored if empty, and must be
+    // valid separators which do not clash with the other separators
+    function additionalLocalPartSeparatorsIssues(value) {
+        const separators = value.split(FORMAT_PRIMARY_ADDRESS_SEPARATOR).map(s => s.trim());
+        const invalidSeparators = separators.filter(separator => separator !== ''
+            && (separator.includes('*') || separator.includes('@')
+                || FIXED.SEPARATOR_NAMES.some(name => name !== 'FORMAT_LOCAL_PART_SEPARATOR'
+                    && ENVIRONMENT[name] === separator)));
+        return [
+            ...(value.trim() !== '' && separators.includes('')
+                ? [{ issue: 'empty additional local-part separator' }]
+                : []),
+            ...(invalidSeparators.length > 0
+                ? [{ issue: 'invalid additional local-part separators', separators: invalidSeparators }]
+                : []),
+        ];
+    }
+    const valueIssues = {
+        DESTINATION: compoundDestinationIssues,
+        REJECT_TREATMENT: value => isRejectReason(value) ? [] : compoundDestinationIssues(value),
+        SUBADDRESSES: subaddressesIssues,
+        USERS: usersIssues,
+        FORWARDING_POLICY: value => FIXED.parsedForwardingPolicy(value.trim()) === undefined
+            ? [{ issue: 'invalidly formatted forwarding policy', fallback: DEFAULTS.FORWARDING_POLICY }]
+            : [],
+        ADDITIONAL_LOCAL_PART_SEPARATORS: additionalLocalPartSeparatorsIssues,
+    };
+    for (const name of FIXED.VALIDATED_GLOBAL_CONFIGURATION_NAMES)
+        for (const [source, value] of [
+            [{ name: name }, ENVIRONMENT[name]],
+            [{ key: `@${name}` }, stored[`@${name}`]],
+        ])
+            if (typeof value === 'string')
+                issues.push(...valueIssues[name](value)
+                    .map(issue => ({ ...issue, severity: 'warn', ...source })));
+    return issues;
+}
+
+// Validates the environment-based configuration and, if stored address
+// configuration is used, the stored global address configuration.
+// Returns the issues found, each of which has the severity 'error' if
+// messages cannot be routed safely, in which case each message is not
+// routed so that the sender retries it, or 'warn' if messages are routed
+// with a fallback.
+export async function validateConfiguration(environment = {}) {
+    const ENVIRONMENT = { ...DEFAULTS, ...environment };
+    return configurationIssues(ENVIRONMENT, await storedGlobalConfiguration(ENVIRONMENT));
+}
+
+export default {
+    // Handle the forwarding of an email based on the message's `to` attribute. 
+    async email(message, environment, context) {
+        // Environment-based configuration which overrides `DEFAULTS`
+        //
+        const ENVIRONMENT = { ...DEFAULTS, ...environment };
+        const {
+            CONSOLE_OUTPUT_LEVEL,
+
+            consoleOutput,
+        } = ENVIRONMENT;
+
+        // The configuration is validated for each message, which is not
+        // routed if there are any errors so that it is retried by the
+        // sender rather than misrouted
+        const stored = await storedGlobalConfiguration(ENVIRONMENT);
+        const issues = configurationIssues(ENVIRONMENT, stored);
+        for (const issue of issues)
+            consoleOutput(issue, issue.severity,
+                { consoleOutputLevel: FIXED.consoleOutputLevel(CONSOLE_OUTPUT_LEVEL) });
+        if (issues.some(issue => issue.severity === 'error'))
+            throw new InvalidConfiguration(issues);
+
+        const snapshot = await loadedConfigurationSnapshot(message, environment, stored);
+        await executeRoutingPlan(
+            message, resolveRoutingPlan(message, snapshot), environment);
+    },
+    // Handle a batch of deferred deliveries, each of which is retried by
+    // forwarding the raw message to its undelivered destinations using the
+    // SEND_EMAIL binding. A deferred delivery which fails with a
+    // recoverable error is deferred again until the maximum attempts, after
+    // which the reject treatment is applied by reject forwarding, or
+    // otherwise an alert is sent.
+    async queue(batch, environment, context) {
+        // Environment-based configuration which overrides `DEFAULTS`
+        //
+        const ENVIRONMENT = { ...DEFAULTS, ...environment };
+        const {
+            ALERT_DESTINATION,
+            SEND_EMAIL,
+
+            emailImage,
+            consoleOutput,
+            forwardToCompoundDestination,
+            sendEmail
+        } = ENVIRONMENT;
+
+        const CONFIGURATION = forwardingConfiguration(ENVIRONMENT);
+        const { deferredDelivery } = CONFIGURATION;
+
+        // Applies the reject treatment of the deferred delivery by reject
+        // forwarding, or otherwise by logging and sending an alert, and then
+        // archives it with its undelivered destinations, given the forwarding
+        // configuration of the deferred delivery
+        async function abandonDeferredDelivery(deferral, message, theEmailImage, configuration) {
+            const archive = async (outcome) => await archiveMessage(deferral.raw, {
+                outcome: outcome,
+                size: deferral.raw.byteLength,
+                compoundDestination: deferral.compoundDestination,
+                forwardingPolicy: deferral.forwardingPolicy,
+                customHeader: deferral.customHeader,
+                rejectReason: deferral.rejectReason,
+            }, theEmailImage, configuration);
+            if (deferral.rejectCompoundDestination.length > 0) {
+                try {
+                    if (await forwardToCompoundDestination(
                         message,
                         'RejectForwarding',
-                        rejectCompoundDestination.validPrimary,
-                        new Headers({ [customHeader]: customHeaderFail }),
+                        deferral.rejectCompoundDestination,
+                        new Headers([deferral.rejectCustomHeader]),
                         theEmailImage,
-                        CONFIGURATION
-                    );
+                        configuration,
+                        deferral.rejectForwardingPolicy
+                    )) {
+                        await archive('quarantined');
+                        return;
+                    }
+                } catch (error) {
+                    // Recoverable errors are alerted as no further attempts
+                    // are made
+                }
+            }
+            consoleOutput({
+                email: theEmailImage,
+                action: 'AbandonForwarding',
+                actionType: deferral.actionType,
+                compoundDestination: deferral.compoundDestination,
+                attempt: deferral.attempt,
+                rejectReason: deferral.rejectReason,
+            }, 'error', configuration);
+            const alertDestination = ALERT_DESTINATION.trim();
+            if (alertDestination && SEND_EMAIL) {
+                const alertDomain = FIXED.addressParts(deferral.to)[1];
+                const alertRaw = [
+                    `From: ${deferral.to}`,
+                    `To: ${alertDestination}`,
+                    `Subject: Undelivered email from ${deferral.from} to ${deferral.to}`,
+                    `Message-ID: <${crypto.randomUUID()}@${alertDomain}>`,
+                    `Date: ${configuration.now().toUTCString()}`,
+                    'Content-Type: text/plain; charset=utf-8',
+                    '',
+                    `The email ${theEmailImage.messageId ?? ''} from ${deferral.from} to ${deferral.to}`
+                    + ` with subject "${theEmailImage.subject ?? ''}"`
+                    + ` was not delivered after ${deferral.attempt} deferred attempts`
+                    + ` to ${deferral.compoundDestination.flat().join(', ')}`
+                    + ` and would have been rejected with the reason: ${deferral.rejectReason}`,
+                ].join('\r\n');
+                try {
+                    await sendEmail(SEND_EMAIL, deferral.to, alertDestination, alertRaw);
+                } catch (error) {
+                    consoleOutput({
+                        email: theEmailImage,
+                        issue: 'alert not sent',
+                        alertDestination: alertDestination,
+                        errorMessage: error.message,
+                    }, 'warn', configuration);
+                }
             }
+            await archive('failed');
+        }
 
-            // If reject forward failed or none was attempted then direct reject
-            if (!rejectForwardWasSuccessful) {
-                const userRejectReason =
-                    !userRejectTreatment.includes('@') && userRejectTreatment
-                    || !globalRejectTreatment.includes('@') && globalRejectTreatment
-                    || !REJECT_TREATMENT.includes('@') && REJECT_TREATMENT.trim()
-                    || DEFAULTS.REJECT_TREATMENT.trim();
-                // Prepend the message's local part if the reject reason begin's
-                // with a non-alphanumeric
-                const fullRejectReason = FIXED.prepend(
-                    userRejectReason,
-                    [{ test: FIXED.startsWithNonAlphanumericRegExp, prepend: messageLocalPart }]
+        for (const queueMessage of batch.messages) {
+            const deferral = queueMessage.body;
+            const message = sendingMessage(
+                deferral.from, deferral.to, deferral.raw, SEND_EMAIL, sendEmail);
+            const theEmailImage = emailImage(message);
+            // Each deferred delivery has its own time budget for retries
+            const deferralConfiguration = withRetryDeadline(CONFIGURATION);
+            try {
+                const wasSuccessful = await forwardToCompoundDestination(
+                    message,
+                    deferral.actionType,
+                    deferral.compoundDestination,
+                    new Headers([deferral.customHeader]),
+                    theEmailImage,
+                    deferralConfiguration,
+                    deferral.forwardingPolicy
                 );
-                message.setReject(fullRejectReason);
-                consoleOutput({
-                    email: theEmailImage,
-                    action: 'DirectRejecting',
-                    rejectReason: fullRejectReason,
-                }, 'info', CONFIGURATION);
+                if (!wasSuccessful)
+                    await abandonDeferredDelivery(deferral, message, theEmailImage, deferralConfiguration);
+            } catch (error) {
+                if (!(error instanceof RecoverableForwardError)) {
+                    // Unexpected errors are retried by the queue
+                    queueMessage.retry();
+                    continue;
+                }
+                const attempt = deferral.attempt + 1;
+                if (attempt > deferredDelivery.maxAttempts || !deferredDelivery.queue) {
+                    await abandonDeferredDelivery(deferral, message, theEmailImage, deferralConfiguration);
+                } else {
+                    const delay = deferredDelivery.delay(attempt);
+                    await deferredDelivery.queue.send({
+                        ...deferral,
+                        attempt: attempt,
+                        compoundDestination: error.undelivered.compoundDestination,
+                        forwardingPolicy: error.undelivered.forwardingPolicy,
+                    }, { contentType: 'v8', delaySeconds: delay });
+                    consoleOutput({
+                        email: theEmailImage,
+                        action: 'DeferForwarding',
+                        actionType: deferral.actionType,
+                        compoundDestination: error.undelivered.compoundDestination,
+                        attempt: attempt,
+                        delay: delay,
+                    }, 'info', CONFIGURATION);
+                }
             }
+            queueMessage.ack();
         }
     },
-    // Handle a HTTP request by just returning either a not found error
-    // response. Not strictly necessary but helps avoid polluting the
-    // email worker logs with the more frequent than one would hope
+    // Handle a HTTP request to the HTTP API of archived messages or of the
+    // routing configuration if it is enabled, and otherwise by just
+    // returning either a not found error response. Not strictly necessary
+    // but helps avoid polluting the email worker logs with the more
+    // frequent than one would hope
     // "Handler does not export a fetch() function." error message.
     // This appears to be caused by search crawlers attempting to index
     // the domain of the email worker.
     // Having these errors in the logs increases the chance of missing
     // a far more important error relating to email forwarding as generated
     // by the email() function.
-    async fetch(request, env, ctx) {
-        // Check if the request method is GET
-        if (request.method === 'GET') {
-            // Return a 404 Not Found response
-            return new Response('Not Found', { status: 404 });
-        } else {
-            // Return a 405 Method Not Allowed response
-            return new Response('Method Not Allowed', { status: 405 });
+    async fetch(request, environment, context) {
+        // Environment-based configuration which overrides `DEFAULTS`
+        //
+        const ENVIRONMENT = { ...DEFAULTS, ...environment };
+        const {
+            API_TOKEN,
+            API_HMAC_SECRET,
+            ARCHIVE,
+            MAP,
+            SEND_EMAIL,
+
+            USE_STORED_ADDRESS_CONFIGURATION,
+            USE_DOMAIN_SCOPED_CONFIGURATION,
+
+            FORMAT_PRIMARY_ADDRESS_SEPARATOR,
+            FORMAT_BACKUP_ADDRESS_SEPARATOR,
+            FORMAT_LOCAL_PART_SEPARATOR,
+            FORMAT_GROUP_PREFIX,
+            FORMAT_VALID_EMAIL_ADDRESS_REGEXP,
+
+            addressLocalParts,
+            emailImage,
+            consoleOutput,
+            forwardToCompoundDestination,
+            isValidEmailAddress,
+            sendEmail,
+            now
+        } = ENVIRONMENT;
+
+        // The HTTP API is only enabled with an API token or HMAC secret, and
+        // each part of it only with the store it manages, where the routing
+        // configuration can only be managed in a KV namespace, except for
+        // explaining routing which needs no store of its own
+        const url = new URL(request.url);
+        const archivePathMatch = ARCHIVE !== null
+            ? url.pathname.match(FIXED.archivePathRegExp)
+            : null;
+        const configurationPathMatch = typeof MAP?.put === 'function'
+            ? url.pathname.match(FIXED.configurationPathRegExp)
+            : null;
+        const explainPathMatch = url.pathname.match(FIXED.explainPathRegExp);
+        if (!(API_TOKEN || API_HMAC_SECRET)
+            || !(archivePathMatch || configurationPathMatch || explainPathMatch)) {
+            // Check if the request method is GET
+            if (request.method === 'GET') {
+                // Return a 404 Not Found response
+                return new Response('Not Found', { status: 404 });
+            } else {
+                // Return a 405 Method Not Allowed response
+                return new Response('Method Not Allowed', { status: 405 });
+            }
+        }
+
+        const CONFIGURATION = forwardingConfiguration(ENVIRONMENT);
+        const validEmailAddressRegExp = new RegExp(FORMAT_VALID_EMAIL_ADDRESS_REGEXP);
+        const requestBody = await request.text();
+        const methodNotAllowed = new Response('Method Not Allowed', { status: 405 });
+
+        function jsonResponse(body, status = 200) {
+            return Response.json(body, { status: status });
+        }
+        // Returns the request body parsed as JSON, or null if invalid
+        function requestJson() {
+            try {
+                return JSON.parse(requestBody || '{}');
+            } catch (error) {
+                return null;
+            }
+        }
+        // Returns true if the request has the API token as its bearer token,
+        // comparing digests in constant time
+        async function hasApiToken() {
+            const [expected, actual] = await Promise.all(
+                [`Bearer ${API_TOKEN}`, request.headers.get('Authorization') ?? '']
+                    .map(text => crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))));
+            return crypto.subtle.timingSafeEqual(expected, actual);
+        }
+        // Returns true if the request has a recent timestamp and a signature
+        // which is the hex encoded HMAC-SHA256 using the HMAC secret of:
+        //     `${timestamp}\n${method}\n${path}${query}\n${body}`
+        async function hasHmacSignature() {
+            const timestamp = request.headers.get(FIXED.API_TIMESTAMP_HEADER) ?? '';
+            const signature = request.headers.get(FIXED.API_SIGNATURE_HEADER) ?? '';
+            if (!/^[0-9]+$/.test(timestamp) || !/^(?:[0-9a-f]{2})+$/i.test(signature)
+                || Math.abs(now().getTime() / 1000 - parseInt(timestamp)) > FIXED.API_SIGNATURE_MAX_AGE)
+                return false;
+            const key = await crypto.subtle.importKey('raw',
+                new TextEncoder().encode(API_HMAC_SECRET),
+                { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+            return await crypto.subtle.verify('HMAC', key,
+                new Uint8Array(signature.match(/../g).map(hex => parseInt(hex, 16))),
+                new TextEncoder().encode(
+                    `${timestamp}\n${request.method}\n${url.pathname}${url.search}\n${requestBody}`));
         }
+
+        if (!(API_TOKEN && await hasApiToken() || API_HMAC_SECRET && await hasHmacSignature()))
+            return new Response('Unauthorized', {
+                status: 401,
+                headers: { 'WWW-Authenticate': 'Bearer' },
+            });
+
+        // HTTP API of archived messages
+        //
+
+        async function archivedMetadata(id) {
+            const metadata = await archivedValue(
+                ARCHIVE, `${FIXED.ARCHIVE_METADATA_KEY_PREFIX}${id}`, 'text');
+            return metadata !== null ? JSON.parse(metadata) : null;
+        }
+        // Returns the compound destination of a replay destination which has
+        // the same syntax as a compound destination without groups,
+        // templates or a forwarding policy, or undefined if any of its
+        // destinations is invalidly formatted
+        function replayCompoundDestination(destination) {
+            const compoundDestination = destination
+                .split(FORMAT_PRIMARY_ADDRESS_SEPARATOR)
+                .map(primaryDestination => primaryDestination
+                    .split(FORMAT_BACKUP_ADDRESS_SEPARATOR).map(s => s.trim()).filter(Boolean))
+                .filter(primaryDestination => primaryDestination.length > 0);
+            return compoundDestination.length > 0 && compoundDestination.flat()
+                .every(backupDestination => isValidEmailAddress(backupDestination, validEmailAddressRegExp))
+                ? compoundDestination
+                : undefined;
+        }
+        async function archiveResponse() {
+            const [, id, subresource] = archivePathMatch;
+            const route = `${request.method} ${id === undefined ? '' : 'id'}/${subresource ?? ''}`;
+
+            // List a page of archived messages
+            if (id === undefined) {
+                if (route !== 'GET /')
+                    return methodNotAllowed;
+                const listing = await ARCHIVE.list({
+                    prefix: FIXED.ARCHIVE_METADATA_KEY_PREFIX,
+                    cursor: url.searchParams.get('cursor') ?? undefined,
+                    limit: Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 100, 1), 1000),
+                });
+                // A KV namespace lists keys and an R2 bucket lists objects
+                const keys = (listing.keys ?? listing.objects).map(key => key.name ?? key.key);
+                const messages = await Promise.all(keys.map(key =>
+                    archivedMetadata(key.slice(FIXED.ARCHIVE_METADATA_KEY_PREFIX.length))));
+                return jsonResponse({
+                    messages: messages.filter(Boolean),
+                    cursor: (listing.truncated ?? !listing.list_complete) ? listing.cursor : null,
+                });
+            }
+
+            const metadata = await archivedMetadata(id);
+            if (metadata === null)
+                return jsonResponse({ error: 'archived message not found' }, 404);
+
+            switch (route) {
+                case 'GET id/':
+                    return jsonResponse(metadata);
+                case 'DELETE id/':
+                    await ARCHIVE.delete(`${FIXED.ARCHIVE_RAW_KEY_PREFIX}${id}`);
+                    await ARCHIVE.delete(`${FIXED.ARCHIVE_METADATA_KEY_PREFIX}${id}`);
+                    return new Response(null, { status: 204 });
+                case 'GET id/raw':
+                    return new Response(
+                        await archivedValue(ARCHIVE, `${FIXED.ARCHIVE_RAW_KEY_PREFIX}${id}`, 'arrayBuffer'),
+                        {
+                            headers: {
+                                'Content-Type': 'message/rfc822',
+                                'Content-Disposition': `attachment; filename="${id}.eml"`,
+                            },
+                        });
+                case 'POST id/replay':
+                    break;
+                default:
+                    return methodNotAllowed;
+            }
+
+            // Replay the archived message to its original destinations, or
+            // the destination overriding them which all must succeed
+            if (SEND_EMAIL === null)
+                return jsonResponse({ error: 'SEND_EMAIL binding required to replay' }, 503);
+            const replay = requestJson();
+            if (replay === null || !['string', 'undefined'].includes(typeof replay.destination))
+                return jsonResponse({ error: 'invalidly formatted replay' }, 400);
+            const compoundDestination = replay.destination !== undefined
+                ? replayCompoundDestination(replay.destination)
+                : metadata.compoundDestination;
+            if (compoundDestination === undefined)
+                return jsonResponse({ error: 'invalidly formatted destination' }, 400);
+            if (compoundDestination.length === 0)
+                return jsonResponse({ error: 'no destination to replay to' }, 400);
+            const forwardingPolicy = replay.destination !== undefined
+                ? { type: 'all' }
+                : metadata.forwardingPolicy;
+
+            const raw = await archivedValue(ARCHIVE, `${FIXED.ARCHIVE_RAW_KEY_PREFIX}${id}`, 'arrayBuffer');
+            const message = sendingMessage(metadata.from, metadata.to, raw, SEND_EMAIL, sendEmail);
+            let wasSuccessful;
+            try {
+                wasSuccessful = await forwardToCompoundDestination(
+                    message,
+                    'ReplayForwarding',
+                    compoundDestination,
+                    new Headers([metadata.customHeader]),
+                    emailImage(message),
+                    withRetryDeadline(CONFIGURATION),
+                    forwardingPolicy
+                );
+            } catch (error) {
+                if (!(error instanceof RecoverableForwardError))
+                    throw error;
+                wasSuccessful = false;
+            }
+            return jsonResponse({
+                id: id,
+                compoundDestination: compoundDestination,
+                forwardingPolicy: forwardingPolicy,
+                wasSuccessful: wasSuccessful,
+            }, wasSuccessful ? 200 : 502);
+        }
+
+        // HTTP API of the routing configuration
+        //
+
+        const {
+            placeholderValues: validationPlaceholderValues,
+            destinationIssues,
+            rejectTreatmentIssues,
+            destinationWithRejectTreatmentIssues,
+            subaddressesIssues,
+            usersIssues,
+        } = configurationValidators(ENVIRONMENT);
+
+        // Returns the names of all the keys in the MAP with the prefix
+        async function listedKeys(prefix) {
+            const keys = [];
+            let listing = { list_complete: false };
+            while (!listing.list_complete) {
+                listing = await MAP.list({ prefix: prefix, cursor: listing.cursor });
+                keys.push(...listing.keys.map(key => key.name));
+            }
+            return keys;
+        }
+        // Returns the local-part format of an email address in the domain,
+        // or without domain-scoped configuration if there is no domain, as
+        // configured when it is routed
+        async function domainLocalPartFormat(domain) {
+            const scopes = domain && ['true', '1'].includes(USE_DOMAIN_SCOPED_CONFIGURATION.trim().toLowerCase())
+                ? [...FIXED.domainScopes(domain), '']
+                : [''];
+            const names = ['LOCAL_PART_NORMALIZATION', 'ADDITIONAL_LOCAL_PART_SEPARATORS'];
+            const stored = ['true', '1'].includes(USE_STORED_ADDRESS_CONFIGURATION.trim().toLowerCase())
+                ? Object.fromEntries(await Promise.all(names
+                    .flatMap(name => scopes.map(scope => `@${scope ? `${scope}@${name}` : name}`))
+                    .map(async key => [key, await MAP.get(key)])))
+                : {};
+            const [localPartNormalization, additionalLocalPartSeparators] = names.map(name =>
+                scopedAddressConfiguration(name, scopes, ENVIRONMENT, key => stored[key] ?? undefined)[0]);
+            return localPartFormat(localPartNormalization, additionalLocalPartSeparators, ENVIRONMENT);
+        }
+        async function configurationResponse() {
+            const [, encodedUser, subaddressesPath, encodedSubaddress, globalName, schemaPath] =
+                configurationPathMatch;
+            const domain = url.searchParams.get('domain')?.trim().toLowerCase() || '';
+            // Returns the key of a user's configuration for the domain
+            const scopedKey = (key) => domain ? `${key}@${domain}` : key;
+
+            // The JSON Schema of a JSON user or sub-address configuration
+            if (schemaPath !== undefined)
+                return request.method === 'GET'
+                    ? new Response(JSON.stringify(FIXED.USER_CONFIGURATION_SCHEMA), {
+                        headers: { 'Content-Type': 'application/schema+json' },
+                    })
+                    : methodNotAllowed;
+
+            // List a page of users
+            if (globalName === undefined && encodedUser === undefined) {
+                if (request.method !== 'GET')
+                    return methodNotAllowed;
+                const listing = await MAP.list({
+                    cursor: url.searchParams.get('cursor') ?? undefined,
+                    limit: Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 100, 1), 1000),
+                });
+                const domainSuffix = domain ? `@${domain}` : '';
+                const users = listing.keys.map(key => key.name)
+                    .filter(name => !name.startsWith('@') && !name.startsWith(FORMAT_GROUP_PREFIX)
+                        && !name.includes(FORMAT_LOCAL_PART_SEPARATOR)
+                        && (domain
+                            ? name.endsWith(domainSuffix) && !name.slice(0, -domainSuffix.length).includes('@')
+                            : !name.includes('@')))
+                    .map(name => domain ? name.slice(0, -domainSuffix.length) : name);
+                return jsonResponse({
+                    users: users,
+                    cursor: listing.list_complete ? null : listing.cursor,
+                });
+            }
+
+            let user;
+            let subaddress;
+            try {
+                user = encodedUser !== undefined ? decodeURIComponent(encodedUser).trim() : undefined;
+                subaddress = encodedSubaddress !== undefined
+                    ? decodeURIComponent(encodedSubaddress).trim().toLowerCase()
+                    : undefined;
+            } catch (error) {
+                return jsonResponse({ error: 'invalidly encoded path' }, 400);
+            }
+            // A user or sub-address with '@' would be the key of another
+            // domain's configuration
+            if (user?.includes('@') || subaddress?.includes('@'))
+                return jsonResponse({ error: 'user or sub-address contains @' }, 400);
+
+            // Users other than user patterns, and the target users of user
+            // aliases, are stored normalized in the same way as routing
+            // normalizes the user of a recipient in the domain, or otherwise
+            // without domain-scoped configuration, and a user with a
+            // sub-address would never be routed to
+            const userFormat = user !== undefined
+                ? await domainLocalPartFormat(domain)
+                : undefined;
+            if (user !== undefined && !FIXED.isPattern(user)) {
+                const [routedUser, routedSubaddress] =
+                    addressLocalParts(user, userFormat.separators, userFormat.userNormalization);
+                if (routedSubaddress !== '')
+                    return jsonResponse({ error: 'user has a sub-address' }, 400);
+                user = routedUser;
+            }
+            // Returns the user configuration value with the target user of a
+            // user alias normalized
+            function normalizedUserAliasValue(value) {
+                const normalizedTarget = (target) =>
+                    FIXED.normalizedLocalPart(target.trim(), userFormat.userNormalization);
+                if (FIXED.jsonConfigurationRegExp.test(value)) {
+                    const json = JSON.parse(value);
+                    return typeof json.alias === 'string' && json.alias !== normalizedTarget(json.alias)
+                        ? JSON.stringify({ ...json, alias: normalizedTarget(json.alias) })
+                        : value;
+                }
+                return value.trim().startsWith(FIXED.USER_ALIAS_PREFIX)
+                    ? FIXED.USER_ALIAS_PREFIX
+                    + normalizedTarget(value.trim().slice(FIXED.USER_ALIAS_PREFIX.length))
+                    : value;
+            }
+
+            // The key of the configuration and the issues with a value of it
+            const [key, valueIssues] = globalName !== undefined
+                ? [
+                    domain ? `@${domain}@${globalName}` : `@${globalName}`,
+                    {
+                        DESTINATION: value => destinationIssues(value, validationPlaceholderValues.user),
+                        USERS: usersIssues,
+                        SUBADDRESSES: subaddressesIssues,
+                        REJECT_TREATMENT: value => rejectTreatmentIssues(value, validationPlaceholderValues.user),
+                    }[globalName],
+                ]
+                : subaddressesPath === undefined
+                    ? [scopedKey(user), value => destinationWithRejectTreatmentIssues(value, user, true)]
+                    : subaddress === undefined
+                        ? [scopedKey(`${user}${FORMAT_LOCAL_PART_SEPARATOR}`), subaddressesIssues]
+                        : [
+                            scopedKey(`${user}${FORMAT_LOCAL_PART_SEPARATOR}${subaddress}`),
+                            value => destinationWithRejectTreatmentIssues(value, user, false),
+                        ];
+            if (valueIssues === undefined)
+                return jsonResponse({ error: 'unknown global configuration' }, 404);
+
+            switch (request.method) {
+                case 'GET': {
+                    const value = await MAP.get(key);
+                    return value !== null
+                        ? jsonResponse({ key: key, value: value })
+                        : jsonResponse({ error: 'configuration not found' }, 404);
+                }
+                case 'PUT': {
+                    const body = requestJson();
+                    if (typeof body?.value !== 'string')
+                        return jsonResponse({ error: 'invalidly formatted configuration' }, 400);
+                    const issues = valueIssues(body.value);
+                    if (issues.length > 0)
+                        return jsonResponse({ error: 'invalid configuration value', issues: issues }, 400);
+                    const value = globalName === undefined && subaddressesPath === undefined
+                        ? normalizedUserAliasValue(body.value)
+                        : body.value;
+                    const wasStored = await MAP.get(key) !== null;
+                    await MAP.put(key, value);
+                    consoleOutput({
+                        action: 'PutConfiguration',
+                        key: key,
+                        value: value,
+                    }, 'info', CONFIGURATION);
+                    return jsonResponse({ key: key, value: value }, wasStored ? 200 : 201);
+                }
+                case 'DELETE': {
+                    // Deleting a user also deletes its sub-address and rules
+                    // configuration
+                    const keys = globalName === undefined && subaddressesPath === undefined
+                        ? [
+                            key,
+                            scopedKey(`${FIXED.USER_RULES_KEY_PREFIX}${user}`),
+                            ...(await listedKeys(`${user}${FORMAT_LOCAL_PART_SEPARATOR}`))
+                                .filter(name => domain
+                                    ? name.endsWith(`@${domain}`)
+                                    : !name.includes('@')),
+                        ]
+                        : [key];
+                    if (await MAP.get(key) === null)
+                        return jsonResponse({ error: 'configuration not found' }, 404);
+                    for (const name of keys)
+                        await MAP.delete(name);
+                    consoleOutput({
+                        action: 'DeleteConfiguration',
+                        keys: keys,
+                    }, 'info', CONFIGURATION);
+                    return new Response(null, { status: 204 });
+                }
+                default:
+                    return methodNotAllowed;
+            }
+        }
+
+        // HTTP API explaining the routing of a message
+        //
+
+        async function explainResponse() {
+            if (request.method !== 'POST')
+                return methodNotAllowed;
+            const envelope = requestJson();
+            const isAddress = (address) => typeof address === 'string' && address.includes('@');
+            const isValidHeaders = (headers) => {
+                try {
+                    new Headers(headers);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            };
+            if (envelope === null || !isAddress(envelope.to) || !isAddress(envelope.from)
+                || !['object', 'undefined'].includes(typeof envelope.headers)
+                || Array.isArray(envelope.headers)
+                || Object.values(envelope.headers ?? {}).some(value => typeof value !== 'string')
+                || !isValidHeaders(envelope.headers ?? {}))
+                return jsonResponse({ error: 'invalidly formatted envelope' }, 400);
+            return jsonResponse(await explain(envelope, environment));
+        }
+
+        return archivePathMatch
+            ? await archiveResponse()
+            : configurationPathMatch
+                ? await configurationResponse()
+                : await explainResponse();
     }
 }
\ No newline at end of file
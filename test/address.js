@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Quoted local-part and internationalized address scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological
+//
+// Non-ASCII addresses are not included in the test names
+//
+describe('quoted local-part and internationalized address scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+    const validEmailAddressRegExp = new RegExp(DEFAULTS.FORMAT_VALID_EMAIL_ADDRESS_REGEXP);
+
+    describe('isValidEmailAddress', () => {
+        it.each([
+            ['user@email.com', true],
+            ['first.last+sub@mail.email.com', true],
+            ['"john doe"@email.com', true],
+            ['"john@doe"@email.com', true],
+            ['"john\\"doe"@email.com', true],
+            ['""@email.com', true],
+            ['user@xn--bcher-kva.example', true],
+            ['john doe@email.com', false],
+            ['"john"doe"@email.com', false],
+            ['"john doe@email.com', false],
+            ['user@email com', false],
+            ['user@email.com/path', false],
+            ['user@', false],
+            ['@email.com', false],
+            ['user', false],
+        ])('%s should be valid: %s', async (address, isValid) => {
+            expect(DEFAULTS.isValidEmailAddress(address, validEmailAddressRegExp)).toBe(isValid);
+        });
+
+        it.each([
+            ['jörg@email.com', true],
+            ['用户@例子.广告', true],
+            ['user@bücher.example', true],
+            ['"jörg müller"@bücher.example', true],
+            ['jörg müller@email.com', false],
+            ['user@bücher example', false],
+        ])('non-ASCII address %# should have the expected validity', async (address, isValid) => {
+            expect(DEFAULTS.isValidEmailAddress(address, validEmailAddressRegExp)).toBe(isValid);
+        });
+    });
+
+    describe('addressLocalParts', () => {
+        it.each([
+            ['"John Doe+Bank"', '+', ['john doe', 'bank']],
+            ['"john@doe"', '+', ['john@doe', '']],
+            ['"john\\"doe"+sub', '+', ['"john\\"doe"', 'sub']],
+            ['"john\\"doe+sub"', '+', ['john"doe', 'sub']],
+        ])('%s separated by %s should be %o', async (localPart, separator, localParts) => {
+            expect(DEFAULTS.addressLocalParts(localPart, separator)).toEqual(localParts);
+        });
+    });
+
+    describe('routing', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@SUBADDRESSES', 'bank');
+        MAP.set('@USERS', 'user1');
+        MAP.set('john doe', r.dest1);
+        MAP.set('john@doe', r.dest2);
+        MAP.set('jörg', `jörg@bücher.example, jörg@xn--bcher-kva.example`);
+        MAP.set('用户', '"用户"@email.com');
+        MAP.set(r.user3, 'user3@Bücher.example');
+        MAP.set('@xn--bcher-kva.example@DESTINATION', r.dest4);
+        const environment = { ...TEST, USE_DOMAIN_SCOPED_CONFIGURATION: 'true', MAP };
+
+        it.each([
+            ['"john doe"@domain.com', r.dest1],
+            ['"John Doe+Bank"@domain.com', r.dest1],
+            ['"john@doe"@domain.com', r.dest2],
+            ['"user3"@domain.com', 'user3@xn--bcher-kva.example'],
+            ['user1@xn--bcher-kva.example', r.dest4],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['JÖRG+bank@domain.com', ['jörg@xn--bcher-kva.example']],
+            ['用户@domain.com', ['"用户"@email.com']],
+            ['user1@Bücher.example', [r.dest4]],
+        ])('non-ASCII address %# should forward', async (to, dests) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['"john doe+other"@domain.com', r.rejectReason],
+        ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,347 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r, InMemoryKVNamespace } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Routing configuration HTTP API scenarios where:
+// - the MAP is an in-memory stand-in for a KV namespace
+// - forward mock records the destinations forwarded to
+//
+describe('routing configuration HTTP API scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        API_TOKEN: 'token',
+    };
+    const forward = message.forward;
+
+    // The injected clock
+    const time = 1700000000000;
+    const now = () => new Date(time);
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    const url = 'https://worker.example.com/config';
+    const authorization = { Authorization: `Bearer ${TEST.API_TOKEN}` };
+
+    // Returns a MAP initially storing the key-value pairs
+    function mockMap(entries = {}) {
+        const map = new InMemoryKVNamespace();
+        for (const [key, value] of Object.entries(entries))
+            map.store.set(key, value);
+        return map;
+    }
+
+    // Returns the response to the request authorized with the API token
+    async function fetch(map, path, method = 'GET', body = undefined, configuration = {}) {
+        return await worker.fetch(
+            new Request(`${url}${path}`, {
+                method,
+                headers: authorization,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            }),
+            { ...TEST, MAP: map, now, ...configuration }, context);
+    }
+
+    describe('authorization', () => {
+        const secret = 'secret';
+
+        // Returns the headers of a request signed using the secret
+        async function signedHeaders(method, path, body, timestamp) {
+            const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret),
+                { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+            const signature = await crypto.subtle.sign('HMAC', key,
+                new TextEncoder().encode(`${timestamp}\n${method}\n/config${path}\n${body}`));
+            return {
+                [FIXED.API_TIMESTAMP_HEADER]: `${timestamp}`,
+                [FIXED.API_SIGNATURE_HEADER]: [...new Uint8Array(signature)]
+                    .map(byte => byte.toString(16).padStart(2, '0')).join(''),
+            };
+        }
+
+        it.each([
+            ['a MAP which is not a KV namespace', { MAP: new Map() }, 'GET', 404],
+            ['a MAP which is not a KV namespace', { MAP: new Map() }, 'PUT', 405],
+            ['neither an API token nor an HMAC secret', { API_TOKEN: '' }, 'GET', 404],
+        ])('should not be enabled with %s for a %s request', async (_, configuration, method, status) => {
+            const response = await worker.fetch(
+                new Request(`${url}/users`, { method, headers: authorization }),
+                { ...TEST, MAP: mockMap(), ...configuration }, context);
+            expect(response.status).toBe(status);
+        });
+
+        it('should authorize a request signed using the HMAC secret', async () => {
+            const body = JSON.stringify({ value: r.dest1 });
+            const headers = await signedHeaders('PUT', '/users/user1', body, time / 1000);
+            const map = mockMap();
+            const response = await worker.fetch(
+                new Request(`${url}/users/user1`, { method: 'PUT', headers, body }),
+                { ...TEST, MAP: map, API_TOKEN: '', API_HMAC_SECRET: secret, now }, context);
+            expect(response.status).toBe(201);
+            expect(map.store.get(r.user1)).toBe(r.dest1);
+        });
+
+        it.each([
+            ['with a stale timestamp', async () => await signedHeaders('GET', '/users', '', time / 1000 - 301)],
+            ['signing another request', async () => await signedHeaders('GET', '/users/user1', '', time / 1000)],
+            ['with an invalid signature', async () => ({ [FIXED.API_TIMESTAMP_HEADER]: `${time / 1000}`, [FIXED.API_SIGNATURE_HEADER]: 'xyz' })],
+            ['without a signature', async () => ({})],
+            ['with only an API token', async () => authorization],
+        ])('should not authorize a request %s using only an HMAC secret', async (_, headers) => {
+            const response = await worker.fetch(
+                new Request(`${url}/users`, { headers: await headers() }),
+                { ...TEST, MAP: mockMap(), API_TOKEN: '', API_HMAC_SECRET: secret, now }, context);
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('users', () => {
+        it('should list the users excluding other configuration', async () => {
+            const map = mockMap({
+                [r.user1]: r.dest1,
+                [`${r.user1}+`]: 'a, b',
+                [`${r.user1}+a`]: r.dest2,
+                [`@RULES@${r.user1}`]: 'from @bank.com => allow',
+                [`${r.user2}@domain.com`]: r.dest2,
+                'sales-*': r.dest3,
+                'user?': r.dest3,
+                '@DESTINATION': r.dest,
+                '%family': r.dest4,
+            });
+            expect(await (await fetch(map, '/users')).json()).toEqual({ users: ['sales-*', r.user1, 'user?'], cursor: null });
+            expect(await (await fetch(map, '/users?domain=domain.com')).json()).toEqual({ users: [r.user2], cursor: null });
+        });
+
+        it('should create, get, update and delete a user', async () => {
+            const map = mockMap();
+            expect((await fetch(map, '/users/User1', 'PUT', { value: `${r.dest1};${r.rejectReason}` })).status).toBe(201);
+            expect(map.store.get(r.user1)).toBe(`${r.dest1};${r.rejectReason}`);
+            expect(await (await fetch(map, '/users/user1')).json()).toEqual({ key: r.user1, value: `${r.dest1};${r.rejectReason}` });
+            expect((await fetch(map, '/users/user1', 'PUT', { value: r.dest2 })).status).toBe(200);
+            expect(map.store.get(r.user1)).toBe(r.dest2);
+            expect((await fetch(map, '/users/user1', 'DELETE')).status).toBe(204);
+            expect((await fetch(map, '/users/user1')).status).toBe(404);
+        });
+
+        it('should delete the sub-address and rules configuration of a deleted user', async () => {
+            const map = mockMap({
+                [r.user1]: r.dest1,
+                [`${r.user1}+`]: 'a',
+                [`${r.user1}+a`]: r.dest2,
+                [`@RULES@${r.user1}`]: 'from @bank.com => allow',
+                [`${r.user1}+a@domain.com`]: r.dest3,
+                [r.user2]: r.dest2,
+            });
+            await fetch(map, '/users/user1', 'DELETE');
+            expect([...map.store.keys()]).toEqual([`${r.user1}+a@domain.com`, r.user2]);
+        });
+
+        it('should put a domain-scoped user', async () => {
+            const map = mockMap();
+            await fetch(map, '/users/user1?domain=Domain.com', 'PUT', { value: r.dest1 });
+            expect(map.store.get(`${r.user1}@domain.com`)).toBe(r.dest1);
+        });
+
+        it.each([
+            [{ LOCAL_PART_NORMALIZATION: 'ignore-dots' }, '/users/First.Last', 'firstlast', 'first.last@domain.com'],
+            [{ LOCAL_PART_NORMALIZATION: 'unicode' }, '/users/STRA%C3%9FE', 'strasse', 'Straße@domain.com'],
+            [{ MAP_LOCAL_PART_NORMALIZATION: 'ignore-dots', USE_DOMAIN_SCOPED_CONFIGURATION: 'true' },
+                '/users/First.Last?domain=domain.com', 'firstlast@domain.com', 'first.last@domain.com'],
+            [{ MAP_LOCAL_PART_NORMALIZATION: 'ignore-dots', USE_DOMAIN_SCOPED_CONFIGURATION: 'true' },
+                '/users/First.Last', 'first.last', 'first.last@other.com'],
+        ])('with the configuration %o should put %s to the key %s as %s is routed', async (configuration, path, key, to) => {
+            const { MAP_LOCAL_PART_NORMALIZATION, ...environment } = configuration;
+            const map = mockMap(MAP_LOCAL_PART_NORMALIZATION !== undefined
+                ? { '@domain.com@LOCAL_PART_NORMALIZATION': MAP_LOCAL_PART_NORMALIZATION }
+                : {});
+            expect((await fetch(map, path, 'PUT', { value: r.dest1 }, environment)).status).toBe(201);
+            expect(map.store.get(key)).toBe(r.dest1);
+            message.to = to;
+            message.forward = vi.fn();
+            await worker.email(message, { ...TEST, ...environment, MAP: map, now }, context);
+            expect(message.forward).toHaveBeenCalledWith(r.dest1, expect.anything());
+        });
+
+        it('should not put a user with a sub-address', async () => {
+            const map = mockMap();
+            const response = await fetch(map, '/users/user1+sub', 'PUT', { value: r.dest1 });
+            expect(response.status).toBe(400);
+            expect(await response.json()).toEqual({ error: 'user has a sub-address' });
+            expect(map.store.size).toBe(0);
+        });
+
+        it.each([
+            ['/users/user1%40other.com'],
+            ['/users/user1%40other.com/subaddresses'],
+            ['/users/user1/subaddresses/news%40other.com'],
+            ['/users/*%40other.com'],
+        ])('should not put %s with @', async (path) => {
+            const map = mockMap();
+            const response = await fetch(map, path, 'PUT', { value: r.dest1 });
+            expect(response.status).toBe(400);
+            expect(await response.json()).toEqual({ error: 'user or sub-address contains @' });
+            expect(map.store.size).toBe(0);
+        });
+
+        it.each([
+            ['=First.Last', '=firstlast'],
+            [' = First.Last ', '=firstlast'],
+            [JSON.stringify({ alias: 'First.Last' }), JSON.stringify({ alias: 'firstlast' })],
+            [JSON.stringify({ alias: 'firstlast' }), JSON.stringify({ alias: 'firstlast' })],
+            [r.dest1, r.dest1],
+        ])('should put the user value %s with the alias target normalized as %s', async (value, storedValue) => {
+            const map = mockMap();
+            const response = await fetch(map, '/users/jane', 'PUT', { value }, { LOCAL_PART_NORMALIZATION: 'ignore-dots' });
+            expect(await response.json()).toEqual({ key: 'jane', value: storedValue });
+            expect(map.store.get('jane')).toBe(storedValue);
+        });
+
+        it('should only load the local-part configuration to normalize a user', async () => {
+            const map = mockMap();
+            const get = vi.spyOn(map, 'get');
+            await fetch(map, '/users/user1?domain=a.domain.com', 'PUT', { value: r.dest1 },
+                { USE_STORED_ADDRESS_CONFIGURATION: 'true', USE_DOMAIN_SCOPED_CONFIGURATION: 'true' });
+            expect(get.mock.calls.map(call => call[0]).sort()).toEqual([
+                '@ADDITIONAL_LOCAL_PART_SEPARATORS',
+                '@LOCAL_PART_NORMALIZATION',
+                '@a.domain.com@ADDITIONAL_LOCAL_PART_SEPARATORS',
+                '@a.domain.com@LOCAL_PART_NORMALIZATION',
+                '@domain.com@ADDITIONAL_LOCAL_PART_SEPARATORS',
+                '@domain.com@LOCAL_PART_NORMALIZATION',
+                `${r.user1}@a.domain.com`,
+            ]);
+        });
+
+        it.each([
+            [''],
+            [`${r.dest1}, ${r.dest2}:${r.dest3}`],
+            [`[quorum:2] ${r.dest1}, ${r.dest2}, %family`],
+            [`+forwarded@email.com;${r.rejectDest}`],
+            [`{user}.{sub}@archive.com:{user}@archive.com;: reject reason`],
+            [`=${r.user2}`],
+        ])('should accept the user value \'%s\'', async (value) => {
+            const response = await fetch(mockMap(), '/users/user1', 'PUT', { value });
+            expect(response.status).toBe(201);
+        });
+
+        it.each([
+            ['not an address', [{ issue: 'invalidly formatted', destinations: ['not an address'] }]],
+            [`${r.dest1}, ${r.dest1}`, [{ issue: 'duplicate', destinations: [r.dest1] }]],
+            [`[some] ${r.dest1}`, [{ issue: 'invalidly formatted forwarding policy', forwardingPolicy: 'some' }]],
+            [`{nope}@email.com`, [{ issue: 'invalidly formatted', destinations: ['{nope}@email.com'] }]],
+            [`${r.dest1};${r.rejectDest}, %`, [{ issue: 'invalidly formatted', destinations: ['%'] }]],
+            [`${r.dest1};a;b`, [{ issue: 'more than one reject treatment' }]],
+            ['=', [{ issue: 'empty user alias' }]],
+        ])('should not accept the user value \'%s\'', async (value, issues) => {
+            const map = mockMap();
+            const response = await fetch(map, '/users/user1', 'PUT', { value });
+            expect(response.status).toBe(400);
+            expect(await response.json()).toEqual({ error: 'invalid configuration value', issues });
+            expect(map.store.size).toBe(0);
+        });
+
+        it.each([
+            ['not json'],
+            [{ value: 1 }],
+            [{}],
+        ])('should not accept the body %o', async (body) => {
+            const response = await worker.fetch(
+                new Request(`${url}/users/user1`, {
+                    method: 'PUT', headers: authorization,
+                    body: typeof body === 'string' ? body : JSON.stringify(body),
+                }),
+                { ...TEST, MAP: mockMap() }, context);
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('sub-addresses', () => {
+        it('should put the allowed sub-addresses and a sub-address destination', async () => {
+            const map = mockMap();
+            expect((await fetch(map, '/users/user1/subaddresses', 'PUT', { value: '+a, !leaked' })).status).toBe(201);
+            expect((await fetch(map, '/users/user1/subaddresses/A', 'PUT', { value: `${r.dest2};` })).status).toBe(201);
+            expect(Object.fromEntries(map.store)).toEqual({ [`${r.user1}+`]: '+a, !leaked', [`${r.user1}+a`]: `${r.dest2};` });
+        });
+
+        it.each([
+            ['/users/user1/subaddresses', { value: 'a, !' }, [{ issue: 'empty denied sub-address' }]],
+            ['/users/user1/subaddresses/a', { value: `=${r.user2}` }, [{ issue: 'invalidly formatted', destinations: [`=${r.user2}`] }]],
+        ])('%s should not accept %o', async (path, body, issues) => {
+            const response = await fetch(mockMap(), path, 'PUT', body);
+            expect(await response.json()).toEqual({ error: 'invalid configuration value', issues });
+        });
+    });
+
+    describe('global configuration', () => {
+        it.each([
+            ['DESTINATION', `@email.com`],
+            ['USERS', `${r.user1}, sales-*, /team[0-9]+/`],
+            ['SUBADDRESSES', '*, !leaked'],
+            ['REJECT_TREATMENT', r.rejectReason],
+            ['REJECT_TREATMENT', r.rejectDest],
+        ])('should put the %s \'%s\'', async (name, value) => {
+            const map = mockMap();
+            expect((await fetch(map, `/global/${name}`, 'PUT', { value })).status).toBe(201);
+            expect(map.store.get(`@${name}`)).toBe(value);
+        });
+
+        it.each([
+            ['DESTINATION', 'nobody', [{ issue: 'invalidly formatted', destinations: ['nobody'] }]],
+            ['USERS', '/team[/', [{ issue: 'invalid user pattern', pattern: '/team[/', errorMessage: expect.any(String) }]],
+            ['REJECT_TREATMENT', 'not valid@email.com', [{ issue: 'invalidly formatted', destinations: ['not valid@email.com'] }]],
+        ])('should not put the %s \'%s\'', async (name, value, issues) => {
+            const response = await fetch(mockMap(), `/global/${name}`, 'PUT', { value });
+            expect(await response.json()).toEqual({ error: 'invalid configuration value', issues });
+        });
+
+        it('should put domain-scoped global configuration', async () => {
+            const map = mockMap();
+            await fetch(map, '/global/DESTINATION?domain=domain.com', 'PUT', { value: r.dest });
+            expect(map.store.get('@domain.com@DESTINATION')).toBe(r.dest);
+        });
+
+        it.each([
+            ['GET', '/global/RULES', 404],
+            ['POST', '/users/user1', 405],
+            ['DELETE', '/users', 405],
+            ['DELETE', '/users/user1', 404],
+        ])('should respond to %s %s with %i', async (method, path, status) => {
+            const response = await fetch(mockMap(), path, method);
+            expect(response.status).toBe(status);
+        });
+    });
+
+    it('user1@domain.com should be forwarded to the destination put', async () => {
+        const map = mockMap();
+        await fetch(map, '/users/user1', 'PUT', { value: `${r.dest1}, ${r.dest2}` });
+        message.to = 'user1@domain.com';
+        message.forward = vi.fn();
+        await worker.email(message, { ...TEST, MAP: map }, context);
+        expect(message.forward.mock.calls.map(call => call[0])).toEqual([r.dest1, r.dest2]);
+    });
+
+    it('should log putting configuration', async () => {
+        const consoleOutput = vi.fn();
+        await fetch(mockMap(), '/users/user1', 'PUT', { value: r.dest1 }, { consoleOutput });
+        expect(consoleOutput).toHaveBeenCalledWith(
+            expect.objectContaining({ action: 'PutConfiguration', key: r.user1, value: r.dest1 }),
+            'info', expect.anything());
+    });
+});
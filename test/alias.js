@@ -0,0 +1,155 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// User alias scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological other than broken alias chains
+//
+describe('user alias scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('alias chain resolution', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@USERS', 'sales-*, user3');
+        MAP.set('@SUBADDRESSES', 'subA');
+        MAP.set('postmaster', `${r.dest1};${r.rejectDest1}`);
+        MAP.set('postmaster+', 'subB');
+        MAP.set('postmaster+bank', r.dest1a);
+        MAP.set('abuse', '=postmaster');
+        MAP.set('abuse+', 'subC');
+        MAP.set('hostmaster', ' = Abuse ');
+        MAP.set('webmaster', '=hostmaster');
+        MAP.set('sales-*', '=postmaster');
+        MAP.set(r.user2, '=user3');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['abuse@domain.com', r.dest1],
+            ['abuse+subB@domain.com', r.dest1],
+            ['abuse+bank@domain.com', r.dest1a],
+            ['hostmaster@domain.com', r.dest1],
+            ['webmaster+subB@domain.com', r.dest1],
+            ['sales-emea+subB@domain.com', r.dest1],
+            ['user2+subA@domain.com', r.dest],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['abuse+subA@domain.com', r.rejectDest1],
+            ['abuse+subC@domain.com', r.rejectDest1],
+            ['webmaster+subA@domain.com', r.rejectDest1],
+        ])('%s should reject forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user2+subB@domain.com', r.rejectReason],
+        ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('broken alias chains', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@USERS', 'loop1');
+        MAP.set('self', '=self');
+        MAP.set('loop1', '=loop2');
+        MAP.set('loop2', '=loop1');
+        MAP.set('chain1', '=chain2');
+        MAP.set('chain2', '=chain3');
+        MAP.set('chain3', '=chain4');
+        MAP.set('chain4', r.dest4);
+        MAP.set('sales', '=ghost');
+        MAP.set('support', '=sales');
+        const environment = { ...TEST, USER_ALIAS_MAX_DEPTH: '2', MAP };
+
+        it.each([
+            ['chain2@domain.com', r.dest4],
+            ['chain3@domain.com', r.dest4],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['self@domain.com', r.rejectReason],
+            ['loop1@domain.com', r.rejectReason],
+            ['loop2+subA@domain.com', r.rejectReason],
+            ['chain1@domain.com', r.rejectReason],
+            ['sales@domain.com', r.rejectReason],
+            ['support+subA@domain.com', r.rejectReason],
+        ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        describe('logging the broken alias chain', () => {
+            const consoleOutput = vi.fn();
+            const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+            it.each([
+                ['self@domain.com', 'user alias cycle', ['self', 'self']],
+                ['loop1@domain.com', 'user alias cycle', ['loop1', 'loop2', 'loop1']],
+                ['chain1@domain.com', 'user alias chain exceeds maximum depth', ['chain1', 'chain2', 'chain3', 'chain4']],
+                ['sales@domain.com', 'user alias target not found', ['sales', 'ghost']],
+                ['support@domain.com', 'user alias target not found', ['support', 'sales', 'ghost']],
+            ])('%s should log \'%s\' with alias chain %s', async (to, issue, aliasChain) => {
+                message.to = to;
+                await worker.email(message, environmentWithConsoleOutput, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue, aliasChain }),
+                    'error', expect.anything());
+            });
+        });
+    });
+});
@@ -0,0 +1,326 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, headers, r, InMemoryQueue, InMemoryKVNamespace, mockForward, mockSendEmail } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Archive scenarios where:
+// - forward mock throws exceptions for particular destinations
+// - the ARCHIVE store is an in-memory stand-in and sending email is injected
+//
+describe('archive scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: `^${FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX}`,
+        ARCHIVE_OUTCOMES: 'failed, rejected, quarantined',
+        API_TOKEN: 'token',
+        SEND_EMAIL: {},
+    };
+    const forward = message.forward;
+    const raw = message.raw;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    const rawEmail = `Message-ID: ${headers['Message-ID']}\r\nSubject: ${headers.subject}\r\n\r\nBody`;
+
+    beforeEach(async () => {
+        message.to = null;
+        message.raw = rawEmail;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+        message.raw = raw;
+    });
+
+    // Mocked errors injected
+    const recoverable = FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX;
+    const unrecoverable = FIXED.CLOUDFLARE_FORWARDING_UNVERIFIED_ADDRESS_MESSAGE_PREFIX;
+
+    // Returns the metadata of each message archived in the archive
+    function archived(archive) {
+        return [...archive.store.entries()]
+            .filter(([key]) => key.startsWith(FIXED.ARCHIVE_METADATA_KEY_PREFIX))
+            .map(([, metadata]) => JSON.parse(metadata));
+    }
+
+    const MAP = new Map();
+    MAP.set('@REJECT_TREATMENT', r.rejectReason);
+    MAP.set(r.user1, `${r.dest1}:${r.dest2}`);
+    MAP.set(r.user3, `${r.dest3};${r.rejectDest3}`);
+    const environment = { ...TEST, MAP };
+
+    describe('archiving', () => {
+        it('user1@domain.com should archive the message and its routing when forwarding failed', async () => {
+            message.to = 'user1@domain.com';
+            const archive = new InMemoryKVNamespace();
+            mockForward({ [r.dest1]: unrecoverable, [r.dest2]: unrecoverable });
+            await worker.email(message, { ...environment, ARCHIVE: archive }, context);
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+            const [metadata] = archived(archive);
+            expect(metadata).toEqual({
+                id: expect.stringMatching(/^[0-9]+-[0-9a-f-]+$/),
+                archivedAt: expect.any(String),
+                from: message.from,
+                to: 'user1@domain.com',
+                messageId: headers['Message-ID'],
+                subject: headers.subject,
+                outcome: 'failed',
+                size: message.rawSize,
+                compoundDestination: [[r.dest1, r.dest2]],
+                forwardingPolicy: { type: 'any' },
+                customHeader: [TEST.CUSTOM_HEADER, TEST.CUSTOM_HEADER_PASS],
+                rejectReason: r.rejectReason,
+            });
+            expect(new TextDecoder().decode(archive.store.get(`${FIXED.ARCHIVE_RAW_KEY_PREFIX}${metadata.id}`)))
+                .toBe(rawEmail);
+        });
+
+        it.each([
+            ['user1@domain.com', { [r.dest1]: unrecoverable, [r.dest2]: unrecoverable }, 'failed'],
+            ['nobody@domain.com', {}, 'rejected'],
+            ['user3@domain.com', { [r.dest3]: unrecoverable }, 'quarantined'],
+            ['user3@domain.com', { [r.dest3]: unrecoverable, [r.rejectDest3]: unrecoverable }, 'failed'],
+        ])('%s (with failing destinations %o) should be archived as %s', async (to, failingDestinations, outcome) => {
+            message.to = to;
+            const archive = new InMemoryKVNamespace();
+            mockForward(failingDestinations);
+            await worker.email(message, { ...environment, ARCHIVE: archive }, context);
+            expect(archived(archive)).toEqual([expect.objectContaining({ outcome })]);
+        });
+
+        it.each([
+            ['user1@domain.com', {}, TEST.ARCHIVE_OUTCOMES],
+            ['nobody@domain.com', {}, DEFAULTS.ARCHIVE_OUTCOMES],
+            ['user3@domain.com', { [r.dest3]: unrecoverable }, 'failed, rejected'],
+        ])('%s (with failing destinations %o) should not be archived with the outcomes \'%s\'', async (to, failingDestinations, outcomes) => {
+            message.to = to;
+            const archive = new InMemoryKVNamespace();
+            mockForward(failingDestinations);
+            await worker.email(message, { ...environment, ARCHIVE: archive, ARCHIVE_OUTCOMES: outcomes }, context);
+            expect(archive.store.size).toBe(0);
+        });
+
+        it('user1@domain.com should archive the undelivered destinations of an abandoned deferred delivery', async () => {
+            message.to = 'user1@domain.com';
+            const archive = new InMemoryKVNamespace();
+            const queue = new InMemoryQueue();
+            const deferredEnvironment = {
+                ...environment, ARCHIVE: archive, QUEUE: queue,
+                DEFERRED_DELIVERY: 'true', DEFERRED_DELIVERY_MAX_ATTEMPTS: '1',
+            };
+            mockForward({ [r.dest1]: recoverable, [r.dest2]: recoverable });
+            await worker.email(message, deferredEnvironment, context);
+            const [sendEmail] = mockSendEmail({ [r.dest1]: recoverable, [r.dest2]: recoverable });
+            await worker.queue(queue.batch(), { ...deferredEnvironment, sendEmail }, context);
+            expect(archived(archive)).toEqual([expect.objectContaining({
+                outcome: 'failed',
+                compoundDestination: [[r.dest1, r.dest2]],
+                rejectReason: r.rejectReason,
+            })]);
+        });
+
+        it('user1@domain.com should warn and still reject if the ARCHIVE store fails', async () => {
+            message.to = 'user1@domain.com';
+            const consoleOutput = vi.fn();
+            const archive = { put: async () => { throw new Error('put failed'); } };
+            mockForward({ [r.dest1]: unrecoverable, [r.dest2]: unrecoverable });
+            await worker.email(message, { ...environment, ARCHIVE: archive, consoleOutput }, context);
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ issue: 'message not archived', outcome: 'failed', errorMessage: 'put failed' }),
+                'warn', expect.anything());
+        });
+    });
+
+    describe('HTTP API', () => {
+        const url = 'https://worker.example.com/archive';
+        const authorization = { Authorization: `Bearer ${TEST.API_TOKEN}` };
+
+        // Returns an archive with a message archived for each of the
+        // users whose forwarding fails unrecoverably
+        async function archiveWith(...users) {
+            const archive = new InMemoryKVNamespace();
+            for (const [i, user] of users.entries()) {
+                message.to = `${user}@domain.com`;
+                mockForward({
+                    [r.dest1]: unrecoverable, [r.dest2]: unrecoverable,
+                    [r.dest3]: unrecoverable, [r.rejectDest3]: unrecoverable,
+                });
+                // Each email is archived a second after the previous one so
+                // that they are listed in order
+                const now = () => new Date(Date.UTC(2026, 0, 1, 0, 0, i));
+                await worker.email(message, { ...environment, ARCHIVE: archive, ARCHIVE_OUTCOMES: 'failed', now }, context);
+            }
+            return archive;
+        }
+
+        it.each([
+            ['without an API token', { API_TOKEN: '' }, 'GET', 404],
+            ['without an API token', { API_TOKEN: '' }, 'POST', 405],
+            ['without an ARCHIVE', { ARCHIVE: null }, 'GET', 404],
+        ])('should not be enabled %s for a %s request', async (_, configuration, method, status) => {
+            const archive = await archiveWith(r.user1);
+            const response = await worker.fetch(
+                new Request(url, { method, headers: authorization }),
+                { ...environment, ARCHIVE: archive, ...configuration }, context);
+            expect(response.status).toBe(status);
+        });
+
+        it('should not route paths outside the HTTP API', async () => {
+            const response = await worker.fetch(
+                new Request('https://worker.example.com/', { headers: authorization }),
+                { ...environment, ARCHIVE: new InMemoryKVNamespace() }, context);
+            expect(response.status).toBe(404);
+        });
+
+        it.each([
+            [{}],
+            [{ Authorization: 'Bearer wrong' }],
+            [{ Authorization: TEST.API_TOKEN }],
+        ])('should not authorize a request with the headers %o', async (headers) => {
+            const response = await worker.fetch(
+                new Request(url, { headers }),
+                { ...environment, ARCHIVE: new InMemoryKVNamespace() }, context);
+            expect(response.status).toBe(401);
+            expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+        });
+
+        it('should list the archived messages a page at a time', async () => {
+            const archive = await archiveWith(r.user1, r.user3);
+            const apiEnvironment = { ...environment, ARCHIVE: archive };
+            const response = await worker.fetch(
+                new Request(`${url}?limit=1`, { headers: authorization }), apiEnvironment, context);
+            const page = await response.json();
+            expect(page.messages).toEqual([expect.objectContaining({ to: 'user1@domain.com', outcome: 'failed' })]);
+            expect(page.cursor).not.toBeNull();
+            const nextPage = await (await worker.fetch(
+                new Request(`${url}?limit=1&cursor=${page.cursor}`, { headers: authorization }),
+                apiEnvironment, context)).json();
+            expect(nextPage).toEqual({
+                messages: [expect.objectContaining({ to: 'user3@domain.com' })],
+                cursor: null,
+            });
+        });
+
+        it('should get and download an archived message', async () => {
+            const archive = await archiveWith(r.user1);
+            const [{ id }] = archived(archive);
+            const apiEnvironment = { ...environment, ARCHIVE: archive };
+            const response = await worker.fetch(
+                new Request(`${url}/${id}`, { headers: authorization }), apiEnvironment, context);
+            expect(await response.json()).toMatchObject({ id, to: 'user1@domain.com' });
+            const rawResponse = await worker.fetch(
+                new Request(`${url}/${id}/raw`, { headers: authorization }), apiEnvironment, context);
+            expect(rawResponse.headers.get('Content-Type')).toBe('message/rfc822');
+            expect(await rawResponse.text()).toBe(rawEmail);
+        });
+
+        it('should delete an archived message', async () => {
+            const archive = await archiveWith(r.user1);
+            const [{ id }] = archived(archive);
+            const response = await worker.fetch(
+                new Request(`${url}/${id}`, { method: 'DELETE', headers: authorization }),
+                { ...environment, ARCHIVE: archive }, context);
+            expect(response.status).toBe(204);
+            expect(archive.store.size).toBe(0);
+        });
+
+        it.each([
+            ['GET', '/0-unknown', 404],
+            ['PUT', '', 405],
+            ['POST', '/{id}', 405],
+            ['GET', '/{id}/replay', 405],
+        ])('should respond to %s %s with %i', async (method, path, status) => {
+            const archive = await archiveWith(r.user1);
+            const [{ id }] = archived(archive);
+            const response = await worker.fetch(
+                new Request(`${url}${path.replace('{id}', id)}`, { method, headers: authorization }),
+                { ...environment, ARCHIVE: archive }, context);
+            expect(response.status).toBe(status);
+        });
+
+        describe('replaying', () => {
+            // Returns the response to replaying the archived message
+            async function replay(archive, sendEmail, body, configuration = {}) {
+                const [{ id }] = archived(archive);
+                return await worker.fetch(
+                    new Request(`${url}/${id}/replay`, { method: 'POST', headers: authorization, body }),
+                    { ...environment, ARCHIVE: archive, sendEmail, ...configuration }, context);
+            }
+
+            it('should replay an archived message to its original destinations', async () => {
+                const archive = await archiveWith(r.user1);
+                const [sendEmail, sent] = mockSendEmail({ [r.dest1]: unrecoverable });
+                const response = await replay(archive, sendEmail);
+                expect(response.status).toBe(200);
+                expect(await response.json()).toMatchObject({ compoundDestination: [[r.dest1, r.dest2]], wasSuccessful: true });
+                expect(sent).toEqual([{
+                    from: 'user1@domain.com',
+                    to: r.dest2,
+                    raw: `${TEST.CUSTOM_HEADER.toLowerCase()}: ${TEST.CUSTOM_HEADER_PASS}\r\n${rawEmail}`,
+                }]);
+            });
+
+            it('should replay an archived message to an overridden destination', async () => {
+                const archive = await archiveWith(r.user1);
+                const [sendEmail, sent] = mockSendEmail({});
+                const response = await replay(archive, sendEmail,
+                    JSON.stringify({ destination: `${r.dest4}, ${r.dest5}:${r.dest6}` }));
+                expect(await response.json()).toMatchObject({
+                    compoundDestination: [[r.dest4], [r.dest5, r.dest6]],
+                    forwardingPolicy: { type: 'all' },
+                    wasSuccessful: true,
+                });
+                expect(sent.map(({ to }) => to)).toEqual([r.dest4, r.dest5]);
+            });
+
+            it.each([
+                ['an unsuccessful', { [r.dest1]: unrecoverable, [r.dest2]: unrecoverable }],
+                ['a recoverably failed', { [r.dest1]: unrecoverable, [r.dest2]: recoverable }],
+            ])('should respond to %s replay with 502', async (_, failingDestinations) => {
+                const archive = await archiveWith(r.user1);
+                const [sendEmail] = mockSendEmail(failingDestinations);
+                const response = await replay(archive, sendEmail);
+                expect(response.status).toBe(502);
+                expect(await response.json()).toMatchObject({ wasSuccessful: false });
+            });
+
+            it.each([
+                ['an invalid body', 'not json', {}, 400],
+                ['a destination which is not a string', JSON.stringify({ destination: [r.dest4] }), {}, 400],
+                ['an invalidly formatted destination', JSON.stringify({ destination: 'not an address' }), {}, 400],
+                ['an empty destination', JSON.stringify({ destination: ' , ' }), {}, 400],
+                ['no SEND_EMAIL binding', undefined, { SEND_EMAIL: null }, 503],
+            ])('should not replay with %s', async (_, body, configuration, status) => {
+                const archive = await archiveWith(r.user1);
+                const [sendEmail] = mockSendEmail({});
+                const response = await replay(archive, sendEmail, body, configuration);
+                expect(response.status).toBe(status);
+                expect(sendEmail).not.toHaveBeenCalled();
+            });
+
+            it('should not replay a rejected message without an overridden destination', async () => {
+                const archive = new InMemoryKVNamespace();
+                message.to = 'nobody@domain.com';
+                mockForward({});
+                await worker.email(message, { ...environment, ARCHIVE: archive }, context);
+                const [sendEmail] = mockSendEmail({});
+                const response = await replay(archive, sendEmail);
+                expect(response.status).toBe(400);
+                expect(await response.json()).toEqual({ error: 'no destination to replay to' });
+            });
+        });
+    });
+});
@@ -0,0 +1,174 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Circuit breaker scenarios where:
+// - forward mock throws exceptions for particular destinations
+// - the STATE store and the clock are injected
+//
+describe('circuit breaker scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: '^$',
+        CIRCUIT_BREAKER_FAILURE_THRESHOLD: '2',
+        CIRCUIT_BREAKER_OPEN_DURATION: '60000',
+        CIRCUIT_BREAKER_SUCCESS_THRESHOLD: '1',
+        IDEMPOTENCY_TTL: '0',
+    };
+    const forward = message.forward;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    // The injected clock
+    let time = 0;
+    const now = () => new Date(time);
+
+    beforeEach(async () => {
+        message.to = null;
+        time = 1000000;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    const unrecoverable = FIXED.CLOUDFLARE_FORWARDING_UNVERIFIED_ADDRESS_MESSAGE_PREFIX;
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Mocks forward to throw an error for each failing destination
+    function mockForward(failingDestinations) {
+        message.forward = vi.fn(async (destination) => {
+            if (failingDestinations.includes(destination))
+                throw new Error(unrecoverable);
+        });
+        return vi.spyOn(message, 'forward');
+    }
+
+    // Mocks a STATE store initially storing the health of each destination
+    function mockState(healths = {}) {
+        const store = new Map(Object.entries(healths).map(([destination, health]) =>
+            [`${FIXED.DESTINATION_HEALTH_KEY_PREFIX}${destination}`, JSON.stringify(health)]));
+        return {
+            get: vi.fn(async (key) => store.get(key) ?? null),
+            put: vi.fn(async (key, value) => { store.set(key, value); }),
+            health: (destination) => JSON.parse(store.get(`${FIXED.DESTINATION_HEALTH_KEY_PREFIX}${destination}`) ?? 'null'),
+        };
+    }
+
+    const MAP = new Map();
+    MAP.set('@REJECT_TREATMENT', r.rejectReason);
+    MAP.set(r.user1, `${r.dest1}:${r.dest2}`);
+    const environment = { ...TEST, MAP, now };
+
+    const open = { failures: 2, successes: 0, openedAt: 1000000 - 1000 };
+    const halfOpen = { failures: 2, successes: 0, openedAt: 1000000 - 60000 };
+
+    it.each([
+        [{}, [], [r.dest1]],
+        [{ [r.dest1]: open }, [], [r.dest2]],
+        [{ [r.dest1]: halfOpen }, [], [r.dest1]],
+        [{ [r.dest1]: halfOpen }, [r.dest1], [r.dest1, r.dest2]],
+        [{ [r.dest1]: open, [r.dest2]: open }, [], [r.dest1]],
+        [{ [r.dest1]: open, [r.dest2]: open }, [r.dest1], [r.dest1, r.dest2]],
+    ])('user1@domain.com (with healths %o and failing destinations %o) should forward to %o', async (healths, failingDestinations, dests) => {
+        message.to = 'user1@domain.com';
+        const forward = mockForward(failingDestinations);
+        await worker.email(message, { ...environment, STATE: mockState(healths) }, context);
+        expect(forward.mock.calls).toEqual(dests.map(dest => [dest, passHeaders]));
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        [{}, [r.dest1], { failures: 1, successes: 0, openedAt: null }],
+        [{ [r.dest1]: { failures: 1, successes: 0, openedAt: null } }, [r.dest1], { failures: 2, successes: 0, openedAt: 1000000 }],
+        [{ [r.dest1]: { failures: 1, successes: 0, openedAt: null } }, [], { failures: 0, successes: 0, openedAt: null }],
+        [{ [r.dest1]: halfOpen }, [], { failures: 0, successes: 0, openedAt: null }],
+        [{ [r.dest1]: halfOpen }, [r.dest1], { failures: 3, successes: 0, openedAt: 1000000 }],
+    ])('user1@domain.com (with healths %o and failing destinations %o) should store the health of the first destination as %o', async (healths, failingDestinations, health) => {
+        message.to = 'user1@domain.com';
+        mockForward(failingDestinations);
+        const state = mockState(healths);
+        await worker.email(message, { ...environment, STATE: state }, context);
+        expect(state.health(r.dest1)).toEqual(health);
+    });
+
+    it('user1@domain.com should not store an unchanged health', async () => {
+        message.to = 'user1@domain.com';
+        mockForward([]);
+        const state = mockState();
+        await worker.email(message, { ...environment, STATE: state }, context);
+        expect(state.get).toHaveBeenCalledTimes(2);
+        expect(state.put).not.toHaveBeenCalled();
+    });
+
+    it('user1@domain.com should skip the first destination after its circuit opened', async () => {
+        message.to = 'user1@domain.com';
+        const forward = mockForward([r.dest1]);
+        const state = mockState();
+        const environmentWithState = { ...environment, STATE: state };
+        await worker.email(message, environmentWithState, context);
+        await worker.email(message, environmentWithState, context);
+        await worker.email(message, environmentWithState, context);
+        expect(forward.mock.calls).toEqual([r.dest1, r.dest2, r.dest1, r.dest2, r.dest2].map(dest => [dest, passHeaders]));
+        time += 60000;
+        forward.mockClear();
+        await worker.email(message, environmentWithState, context);
+        expect(forward.mock.calls).toEqual([r.dest1, r.dest2].map(dest => [dest, passHeaders]));
+    });
+
+    it('user1@domain.com should forward ignoring the circuit breaker with a failure threshold of 0', async () => {
+        message.to = 'user1@domain.com';
+        const forward = mockForward([]);
+        const state = mockState({ [r.dest1]: open });
+        await worker.email(message, { ...environment, STATE: state, CIRCUIT_BREAKER_FAILURE_THRESHOLD: '0' }, context);
+        expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+        expect(state.get).not.toHaveBeenCalled();
+    });
+
+    describe('logging circuit breakers', () => {
+        const consoleOutput = vi.fn();
+        const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+        it.each([
+            [{ [r.dest1]: { failures: 1, successes: 0, openedAt: null } }, [r.dest1], 'CircuitOpened', 'warn'],
+            [{ [r.dest1]: halfOpen }, [r.dest1], 'CircuitOpened', 'warn'],
+            [{ [r.dest1]: halfOpen }, [], 'CircuitClosed', 'info'],
+            [{ [r.dest1]: open }, [], 'SkipForward', 'log'],
+        ])('user1@domain.com (with healths %o and failing destinations %o) should log %s', async (healths, failingDestinations, action, level) => {
+            message.to = 'user1@domain.com';
+            mockForward(failingDestinations);
+            await worker.email(message, { ...environmentWithConsoleOutput, STATE: mockState(healths) }, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ action, [action === 'SkipForward' ? 'backupDestination' : 'destination']: r.dest1 }),
+                level, expect.anything());
+        });
+
+        it('user1@domain.com should warn and forward if the STATE store fails', async () => {
+            message.to = 'user1@domain.com';
+            const forward = mockForward([r.dest1]);
+            const state = {
+                get: async () => { throw new Error('get failed'); },
+                put: async () => { throw new Error('put failed'); },
+            };
+            await worker.email(message, { ...environmentWithConsoleOutput, STATE: state }, context);
+            expect(forward.mock.calls).toEqual([r.dest1, r.dest2].map(dest => [dest, passHeaders]));
+            for (const [issue, errorMessage] of [['destination health not loaded', 'get failed'], ['destination health not stored', 'put failed']])
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue, destination: r.dest1, errorMessage }),
+                    'warn', expect.anything());
+        });
+    });
+});
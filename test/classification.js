@@ -0,0 +1,201 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r, mockForward } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Forwarding error classification scenarios where:
+// - forward mock throws a sequence of exceptions for particular destinations
+// - sleeping is injected
+//
+describe('forwarding error classification scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        FORWARDING_ERROR_POLICY: 'configuration: next-backup, transient: retry, permanent: unrecoverable, unknown: recoverable',
+        RETRY_ATTEMPTS: '1',
+    };
+    const forward = message.forward;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    // Mocked errors injected
+    const transport = FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX;
+    const transient = `${transport}: Unknown error: transient error (421)`;
+    const permanent = `${transport}: Unknown error: permanent error (550)`;
+    const unverified = FIXED.CLOUDFLARE_FORWARDING_UNVERIFIED_ADDRESS_MESSAGE_PREFIX;
+    const unknown = 'internal error';
+
+    // Test subject errors caught
+    const recoverableForwardInterfaceErrorRegExp =
+        new RegExp(`^${FIXED.RECOVERABLE_FORWARD_EXCEPTION_MESSAGE_PREFIX}`);
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('classifyForwardingError', () => {
+        it.each([
+            [FIXED.CLOUDFLARE_FORWARDING_INVALID_ADDRESS_MESSAGE_PREFIX, { type: 'configuration', smtpCode: null, reason: 'invalid address' }],
+            [unverified, { type: 'configuration', smtpCode: null, reason: 'unverified address' }],
+            [FIXED.CLOUDFLARE_FORWARDING_DUPLICATE_ADDRESS_MESSAGE_PREFIX, { type: 'configuration', smtpCode: null, reason: 'duplicate address' }],
+            [FIXED.CLOUDFLARE_FORWARDING_SAME_WORKER_ADDRESS_MESSAGE_PREFIX, { type: 'configuration', smtpCode: null, reason: 'same worker' }],
+            [transient, { type: 'transient', smtpCode: 421, reason: null }],
+            [permanent, { type: 'permanent', smtpCode: 550, reason: null }],
+            [`${transport}: Unknown error: (452)`, { type: 'transient', smtpCode: 452, reason: null }],
+            [`${transport}: Unknown error: (554)`, { type: 'permanent', smtpCode: 554, reason: null }],
+            [`${transport}: Unknown error`, { type: 'unknown', smtpCode: null, reason: null }],
+            [unknown, { type: 'unknown', smtpCode: null, reason: null }],
+        ])('\'%s\' should be classified as %o', async (errorMessage, classification) => {
+            expect(DEFAULTS.classifyForwardingError(new Error(errorMessage))).toEqual(classification);
+        });
+    });
+
+    describe('forwarding error policy', () => {
+        const MAP = new Map();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set(r.user1, `${r.dest1}:${r.dest2}`);
+        const environment = { ...TEST, MAP, sleep: async () => { } };
+
+        it.each([
+            [{ [r.dest1]: [unverified] }, [r.dest1, r.dest2]],
+            [{ [r.dest1]: [transient] }, [r.dest1, r.dest1]],
+            [{ [r.dest1]: [transient, transient] }, [r.dest1, r.dest1, r.dest2]],
+            [{ [r.dest1]: [unknown] }, [r.dest1, r.dest2]],
+        ])('user1@domain.com (with failing destinations %o) should forward to %o', async (failingDestinations, dests) => {
+            message.to = 'user1@domain.com';
+            const forward = mockForward(failingDestinations);
+            await worker.email(message, environment, context);
+            expect(forward.mock.calls).toEqual(dests.map(dest => [dest, passHeaders]));
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            [{ [r.dest1]: [permanent] }, [r.dest1]],
+            [{ [r.dest1]: [unverified], [r.dest2]: [unverified] }, [r.dest1, r.dest2]],
+            [{ [r.dest1]: [unverified], [r.dest2]: [permanent] }, [r.dest1, r.dest2]],
+        ])('user1@domain.com (with failing destinations %o, forwards to %o) should direct reject', async (failingDestinations, dests) => {
+            message.to = 'user1@domain.com';
+            const forward = mockForward(failingDestinations);
+            await worker.email(message, environment, context);
+            expect(forward.mock.calls).toEqual(dests.map(dest => [dest, passHeaders]));
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        it.each([
+            [{ [r.dest1]: [unknown], [r.dest2]: [unverified] }],
+            [{ [r.dest1]: [transient, transient], [r.dest2]: [permanent] }],
+        ])('user1@domain.com (with failing destinations %o) should throw', async (failingDestinations) => {
+            message.to = 'user1@domain.com';
+            mockForward(failingDestinations);
+            await expect(() => worker.email(message, environment, context)).rejects
+                .toThrowError(recoverableForwardInterfaceErrorRegExp);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('user1@domain.com should throw an error including the classified errors', async () => {
+            message.to = 'user1@domain.com';
+            mockForward({ [r.dest1]: [unknown], [r.dest2]: [unverified] });
+            await expect(() => worker.email(message, environment, context)).rejects
+                .toMatchObject({
+                    name: 'RecoverableForwardError',
+                    classifiedErrors: [
+                        { backupDestinationId: 1, backupDestination: r.dest1, type: 'unknown', action: 'recoverable' },
+                        { backupDestinationId: 2, backupDestination: r.dest2, type: 'configuration', reason: 'unverified address', action: 'next-backup' },
+                    ],
+                });
+        });
+
+        it('user1@domain.com should result in the classified errors of the primary destination', async () => {
+            message.to = 'user1@domain.com';
+            const forwardToPrimaryDestination = vi.fn(DEFAULTS.forwardToPrimaryDestination);
+            mockForward({ [r.dest1]: [permanent] });
+            await worker.email(message, { ...environment, forwardToPrimaryDestination }, context);
+            const result = await forwardToPrimaryDestination.mock.results[0].value;
+            expect(result.wasSuccessful).toBe(false);
+            expect(result.hadRecoverableError).toBe(false);
+            expect(result.classifiedErrors).toEqual([{
+                primaryDestinationId: 1,
+                backupDestinationId: 1,
+                backupDestination: r.dest1,
+                type: 'permanent',
+                smtpCode: 550,
+                reason: null,
+                action: 'unrecoverable',
+            }]);
+        });
+
+        describe('without a forwarding error policy', () => {
+            const environmentWithoutPolicy = {
+                ...environment,
+                FORWARDING_ERROR_POLICY: DEFAULTS.FORWARDING_ERROR_POLICY,
+                CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: `^${transport}`,
+            };
+
+            it.each([
+                [{ [r.dest1]: [transient, permanent], [r.dest2]: [unverified] }, [r.dest1, r.dest1, r.dest2]],
+                [{ [r.dest1]: [permanent], [r.dest2]: [unverified] }, [r.dest1, r.dest2]],
+            ])('user1@domain.com (with failing destinations %o, forwards to %o) should throw', async (failingDestinations, dests) => {
+                message.to = 'user1@domain.com';
+                const forward = mockForward(failingDestinations);
+                await expect(() => worker.email(message, environmentWithoutPolicy, context)).rejects
+                    .toThrowError(recoverableForwardInterfaceErrorRegExp);
+                expect(forward.mock.calls).toEqual(dests.map(dest => [dest, passHeaders]));
+            });
+
+            it('user1@domain.com (with unrecoverable errors) should direct reject', async () => {
+                message.to = 'user1@domain.com';
+                mockForward({ [r.dest1]: [unverified], [r.dest2]: [unknown] });
+                await worker.email(message, environmentWithoutPolicy, context);
+                expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+            });
+        });
+
+        describe('logging forwarding error policies', () => {
+            const consoleOutput = vi.fn();
+
+            it('user1@domain.com should log the classification of each error', async () => {
+                message.to = 'user1@domain.com';
+                mockForward({ [r.dest1]: [unverified] });
+                await worker.email(message, { ...environment, consoleOutput }, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({
+                        action: 'SimpleForward',
+                        backupDestination: r.dest1,
+                        errorClassification: { type: 'configuration', smtpCode: null, reason: 'unverified address', action: 'next-backup' },
+                    }),
+                    'error', expect.anything());
+            });
+
+            it.each([
+                ['transient:wait'],
+                ['temporary:retry'],
+                ['transient:retry:twice'],
+            ])('should warn about the invalidly formatted forwarding error policy \'%s\'', async (forwardingErrorPolicy) => {
+                message.to = 'user1@domain.com';
+                mockForward({});
+                await worker.email(message, { ...environment, FORWARDING_ERROR_POLICY: `unknown:recoverable, ${forwardingErrorPolicy}`, consoleOutput }, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue: 'invalidly formatted forwarding error policy', forwardingErrorPolicy }),
+                    'warn', expect.anything());
+            });
+        });
+    });
+});
@@ -1,3 +1,5 @@
+import { vi } from 'vitest';
+
 // Reference test data
 export const r = {
     user: 'user',
@@ -74,3 +76,83 @@ export const message = {
     raw: null,
     rawSize: 999,
 };
+
+// Mocks forward to throw an error for each failing destination, where the
+// destination is mapped either to the message of an error thrown every time
+// or to the messages of errors thrown in turn before succeeding
+export function mockForward(failingDestinations) {
+    const remaining = Object.fromEntries(Object.entries(failingDestinations)
+        .map(([destination, errorMessages]) =>
+            [destination, Array.isArray(errorMessages) ? [...errorMessages] : errorMessages]));
+    message.forward = vi.fn(async (destination) => {
+        const errorMessages = remaining[destination];
+        if (typeof errorMessages === 'string')
+            throw new Error(errorMessages);
+        if (errorMessages?.length)
+            throw new Error(errorMessages.shift());
+    });
+    return vi.spyOn(message, 'forward');
+}
+
+// Mocks sending email to throw an error with the message mapped to each
+// failing destination, and otherwise to record the raw message sent
+export function mockSendEmail(failingDestinations) {
+    const sent = [];
+    const sendEmail = vi.fn(async (sendEmailBinding, from, to, raw) => {
+        if (to in failingDestinations)
+            throw new Error(failingDestinations[to]);
+        sent.push({ from, to, raw: await new Response(raw).text() });
+    });
+    return [sendEmail, sent];
+}
+
+// In-memory stand-in for a Cloudflare Queues binding, whose sent messages can
+// be delivered as a batch to a queue() handler
+export class InMemoryQueue {
+    constructor() {
+        this.sent = [];
+    }
+    async send(body, options = {}) {
+        this.sent.push({ body: structuredClone(body), options });
+    }
+    // Returns a batch of the messages sent since the previous batch, where
+    // each message records whether it was acknowledged or retried
+    batch() {
+        const messages = this.sent.splice(0).map(({ body }, i) => ({
+            id: `${i}`,
+            body,
+            acked: false,
+            retried: false,
+            ack() { this.acked = true; },
+            retry() { this.retried = true; },
+        }));
+        return { queue: 'test', messages };
+    }
+}
+
+// In-memory stand-in for a Cloudflare KV namespace binding used as an ARCHIVE,
+// which lists its keys in order a page at a time
+export class InMemoryKVNamespace {
+    constructor() {
+        this.store = new Map();
+    }
+    async get(key, options = {}) {
+        return this.store.get(key) ?? null;
+    }
+    async put(key, value) {
+        this.store.set(key, value);
+    }
+    async delete(key) {
+        this.store.delete(key);
+    }
+    async list({ prefix = '', cursor, limit = 1000 } = {}) {
+        const names = [...this.store.keys()].filter(name => name.startsWith(prefix)).sort();
+        const start = cursor !== undefined ? parseInt(cursor) : 0;
+        const listComplete = start + limit >= names.length;
+        return {
+            keys: names.slice(start, start + limit).map(name => ({ name })),
+            list_complete: listComplete,
+            ...(listComplete ? {} : { cursor: `${start + limit}` }),
+        };
+    }
+}
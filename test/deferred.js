@@ -0,0 +1,242 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import escape from 'regexp.escape';
+
+// Common test utilities and resources
+import { message, r, InMemoryQueue, mockForward, mockSendEmail } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Deferred delivery scenarios where:
+// - forward mock throws exceptions for particular destinations
+// - the queue is an in-memory stand-in and sending email is injected
+//
+describe('deferred delivery scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: `^(${escape(FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX)})`,
+        DEFERRED_DELIVERY: 'true',
+        DEFERRED_DELIVERY_MAX_ATTEMPTS: '3',
+        SEND_EMAIL: {},
+    };
+    const forward = message.forward;
+    const raw = message.raw;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    const rawEmail = 'Message-ID: <deferred@internet.com>\r\nSubject: deferred\r\n\r\nBody';
+
+    beforeEach(async () => {
+        message.to = null;
+        message.raw = rawEmail;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+        message.raw = raw;
+    });
+
+    // Mocked errors injected
+    const recoverable = FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX;
+    const unrecoverable = FIXED.CLOUDFLARE_FORWARDING_UNVERIFIED_ADDRESS_MESSAGE_PREFIX;
+
+    // Test subject errors caught
+    const recoverableForwardInterfaceErrorRegExp =
+        new RegExp(`^${escape(FIXED.RECOVERABLE_FORWARD_EXCEPTION_MESSAGE_PREFIX)}`);
+
+    const MAP = new Map();
+    MAP.set('@REJECT_TREATMENT', r.rejectReason);
+    MAP.set(r.user1, `${r.dest1}, ${r.dest2};${r.rejectDest1}`);
+    MAP.set(r.user2, `${r.dest2}`);
+    MAP.set(r.user3, `${r.dest1};${r.rejectDest1}, ${r.rejectDest2}`);
+
+    describe('deferring', () => {
+        it('user1@domain.com should defer forwarding to the undelivered destinations', async () => {
+            message.to = 'user1@domain.com';
+            const queue = new InMemoryQueue();
+            mockForward({ [r.dest2]: recoverable });
+            await worker.email(message, { ...TEST, MAP, QUEUE: queue }, context);
+            expect(setReject).not.toHaveBeenCalled();
+            expect(queue.sent).toHaveLength(1);
+            expect(queue.sent[0].options).toEqual({ contentType: 'v8', delaySeconds: 60 });
+            expect(queue.sent[0].body).toMatchObject({
+                from: message.from,
+                to: 'user1@domain.com',
+                attempt: 1,
+                actionType: 'AcceptForwarding',
+                compoundDestination: [[r.dest2]],
+                forwardingPolicy: { type: 'any' },
+                customHeader: [TEST.CUSTOM_HEADER, TEST.CUSTOM_HEADER_PASS],
+                rejectCompoundDestination: [[r.rejectDest1]],
+                rejectCustomHeader: [TEST.CUSTOM_HEADER, TEST.CUSTOM_HEADER_FAIL],
+            });
+            expect(new TextDecoder().decode(queue.sent[0].body.raw)).toBe(rawEmail);
+        });
+
+        it('user3@domain.com should defer reject forwarding to the undelivered destinations', async () => {
+            message.to = 'user3@domain.com';
+            const queue = new InMemoryQueue();
+            mockForward({ [r.dest1]: unrecoverable, [r.rejectDest2]: recoverable });
+            await worker.email(message, { ...TEST, MAP, QUEUE: queue }, context);
+            expect(setReject).not.toHaveBeenCalled();
+            expect(queue.sent[0].body).toMatchObject({
+                actionType: 'RejectForwarding',
+                compoundDestination: [[r.rejectDest2]],
+                customHeader: [TEST.CUSTOM_HEADER, TEST.CUSTOM_HEADER_FAIL],
+                rejectCompoundDestination: [],
+                rejectReason: r.rejectReason,
+            });
+        });
+
+        it.each([
+            ['deferred delivery is disabled', { DEFERRED_DELIVERY: 'false' }],
+            ['the queue is not bound', { QUEUE: null }],
+            ['sending email is not bound', { SEND_EMAIL: null }],
+            ['the message is too large', { DEFERRED_DELIVERY_MAX_RAW_SIZE: '100' }],
+        ])('user1@domain.com should throw if %s', async (_, configuration) => {
+            message.to = 'user1@domain.com';
+            const queue = new InMemoryQueue();
+            mockForward({ [r.dest2]: recoverable });
+            await expect(() => worker.email(message, { ...TEST, MAP, QUEUE: queue, ...configuration }, context)).rejects
+                .toThrowError(recoverableForwardInterfaceErrorRegExp);
+            expect(queue.sent).toHaveLength(0);
+        });
+    });
+
+    describe('retrying', () => {
+        // Returns a queue with the deferred delivery of an email to the user
+        // where forwarding to the failing destinations failed recoverably
+        async function deferredQueue(to, failingDestinations) {
+            message.to = to;
+            const queue = new InMemoryQueue();
+            mockForward(failingDestinations);
+            await worker.email(message, { ...TEST, MAP, QUEUE: queue }, context);
+            return queue;
+        }
+
+        it('user1@domain.com should deliver the deferred forwarding', async () => {
+            const queue = await deferredQueue('user1@domain.com', { [r.dest2]: recoverable });
+            const [sendEmail, sent] = mockSendEmail({});
+            const batch = queue.batch();
+            await worker.queue(batch, { ...TEST, QUEUE: queue, sendEmail }, context);
+            expect(sent).toEqual([{
+                from: 'user1@domain.com',
+                to: r.dest2,
+                raw: `${TEST.CUSTOM_HEADER.toLowerCase()}: ${TEST.CUSTOM_HEADER_PASS}\r\n${rawEmail}`,
+            }]);
+            expect(batch.messages[0].acked).toBe(true);
+            expect(queue.sent).toHaveLength(0);
+        });
+
+        it('should give each deferred delivery in a batch its own time budget for retries', async () => {
+            const queue = new InMemoryQueue();
+            mockForward({ [r.dest2]: recoverable });
+            for (const to of ['user1@domain.com', 'user2@domain.com']) {
+                message.to = to;
+                await worker.email(message, { ...TEST, MAP, QUEUE: queue }, context);
+            }
+            // The injected clock only advances when sleeping, and sending to
+            // each deferred delivery first fails transiently
+            let time = 0;
+            const now = () => new Date(time);
+            const sleep = vi.fn(async (milliseconds) => {
+                time += milliseconds;
+            });
+            const failed = new Set();
+            const sendEmail = vi.fn(async (sendEmailBinding, from, to, raw) => {
+                if (!failed.has(from)) {
+                    failed.add(from);
+                    throw new Error('could not send email: Unknown error: transient error');
+                }
+            });
+            const environment = {
+                ...TEST, QUEUE: queue, sendEmail, now, sleep, random: () => 0.5,
+                RETRY_ATTEMPTS: '1', RETRY_BASE_DELAY: '500', RETRY_JITTER: '0', RETRY_TIME_BUDGET: '700',
+            };
+            const batch = queue.batch();
+            await worker.queue(batch, environment, context);
+            expect(sleep.mock.calls).toEqual([[500], [500]]);
+            expect(sendEmail).toHaveBeenCalledTimes(4);
+            expect(batch.messages.map(message => message.acked)).toEqual([true, true]);
+            expect(queue.sent).toHaveLength(0);
+        });
+
+        it('user1@domain.com should defer again with a longer delay', async () => {
+            const queue = await deferredQueue('user1@domain.com', { [r.dest2]: recoverable });
+            const [sendEmail] = mockSendEmail({ [r.dest2]: recoverable });
+            const batch = queue.batch();
+            await worker.queue(batch, { ...TEST, QUEUE: queue, sendEmail }, context);
+            expect(batch.messages[0].acked).toBe(true);
+            expect(queue.sent).toHaveLength(1);
+            expect(queue.sent[0].options).toEqual({ contentType: 'v8', delaySeconds: 120 });
+            expect(queue.sent[0].body).toMatchObject({ attempt: 2, compoundDestination: [[r.dest2]] });
+        });
+
+        it('user1@domain.com should reject forward after the maximum attempts', async () => {
+            const queue = await deferredQueue('user1@domain.com', { [r.dest2]: recoverable });
+            const [sendEmail, sent] = mockSendEmail({ [r.dest2]: recoverable });
+            for (let attempt = 1; attempt <= 3; attempt++)
+                await worker.queue(queue.batch(), { ...TEST, QUEUE: queue, sendEmail }, context);
+            expect(queue.sent).toHaveLength(0);
+            expect(sendEmail.mock.calls.map(call => call[2])).toEqual([r.dest2, r.dest2, r.dest2, r.rejectDest1]);
+            expect(sent).toEqual([expect.objectContaining({
+                to: r.rejectDest1,
+                raw: `${TEST.CUSTOM_HEADER.toLowerCase()}: ${TEST.CUSTOM_HEADER_FAIL}\r\n${rawEmail}`,
+            })]);
+        });
+
+        it('user2@domain.com should alert after an unrecoverable error', async () => {
+            const queue = await deferredQueue('user2@domain.com', { [r.dest2]: recoverable });
+            const [sendEmail, sent] = mockSendEmail({ [r.dest2]: unrecoverable });
+            const consoleOutput = vi.fn();
+            const environment = { ...TEST, QUEUE: queue, sendEmail, consoleOutput, ALERT_DESTINATION: r.dest };
+            await worker.queue(queue.batch(), environment, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'AbandonForwarding', compoundDestination: [[r.dest2]], attempt: 1, rejectReason: r.rejectReason }),
+                'error', expect.anything());
+            expect(sent).toHaveLength(1);
+            expect(sent[0].to).toBe(r.dest);
+            expect(sent[0].raw).toMatch(/^From: user2@domain\.com\r\nTo: user@email\.com\r\nSubject: Undelivered email/);
+            expect(sent[0].raw).toContain(r.rejectReason);
+        });
+
+        it('user2@domain.com should not alert without an alert destination', async () => {
+            const queue = await deferredQueue('user2@domain.com', { [r.dest2]: recoverable });
+            const [sendEmail, sent] = mockSendEmail({ [r.dest2]: unrecoverable });
+            await worker.queue(queue.batch(), { ...TEST, QUEUE: queue, sendEmail }, context);
+            expect(sendEmail).toHaveBeenCalledTimes(1);
+            expect(sent).toHaveLength(0);
+        });
+
+        it('user1@domain.com should be retried by the queue after an unexpected error', async () => {
+            const queue = await deferredQueue('user1@domain.com', { [r.dest2]: recoverable });
+            const forwardToCompoundDestination = async () => { throw new Error('unexpected'); };
+            const batch = queue.batch();
+            await worker.queue(batch, { ...TEST, QUEUE: queue, forwardToCompoundDestination }, context);
+            expect(batch.messages[0].retried).toBe(true);
+            expect(batch.messages[0].acked).toBe(false);
+        });
+
+        it('user1@domain.com should log deferring with its attempt number', async () => {
+            const queue = await deferredQueue('user1@domain.com', { [r.dest2]: recoverable });
+            const [sendEmail] = mockSendEmail({ [r.dest2]: recoverable });
+            const consoleOutput = vi.fn();
+            await worker.queue(queue.batch(), { ...TEST, QUEUE: queue, sendEmail, consoleOutput }, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    email: expect.objectContaining({ messageId: '<deferred@internet.com>', subject: 'deferred' }),
+                    action: 'DeferForwarding', attempt: 2, delay: 120,
+                }),
+                'info', expect.anything());
+        });
+    });
+});
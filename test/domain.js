@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Domain scoped configuration scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological
+//
+describe('domain scoped configuration scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        USE_DOMAIN_SCOPED_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('disabled by default', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@USERS', r.user1);
+        MAP.set('@domain1.com@DESTINATION', r.dest1);
+        MAP.set(`${r.user2}@domain1.com`, r.dest2);
+        const environment = {
+            ...TEST,
+            USE_DOMAIN_SCOPED_CONFIGURATION: DEFAULTS.USE_DOMAIN_SCOPED_CONFIGURATION,
+            MAP
+        };
+
+        it.each([
+            ['user1@domain1.com', r.dest],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user2@domain1.com', environment.REJECT_TREATMENT],
+        ])('%s should reject with "%s"', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('configuration by domain scoped environment variables', () => {
+        const environment = {
+            ...TEST,
+            USERS: r.user1,
+            DESTINATION: r.dest,
+            'domain1.com@USERS': 'user1,user2',
+            'domain1.com@DESTINATION': r.destDomain,
+            'domain2.com@SUBADDRESSES': 'subA',
+            'domain2.com@REJECT_TREATMENT': r.rejectReason2,
+        };
+
+        it.each([
+            ['user1@domain.com', r.dest],
+            ['user1@domain1.com', `user1${r.destDomain}`],
+            ['user2+subA@domain1.com', `user2${r.destDomain}`],
+            ['user1+subA@domain2.com', r.dest],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user2@domain.com', environment.REJECT_TREATMENT],
+            ['user1+subB@domain2.com', r.rejectReason2],
+            ['user2@domain2.com', r.rejectReason2],
+        ])('%s should reject with "%s"', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('configuration by domain scoped KV globals and users', () => {
+        const MAP = new Map();
+        MAP.set('@USERS', r.user1);
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@domain1.com@USERS', '*');
+        MAP.set('@domain1.com@DESTINATION', r.dest1);
+        MAP.set('@domain1.com@REJECT_TREATMENT', r.rejectReason1);
+        MAP.set('@sub.domain1.com@DESTINATION', r.dest2);
+        MAP.set(r.user3, r.dest3);
+        MAP.set(`${r.user4}@domain1.com`, `${r.dest4};${r.rejectReason4}`);
+        MAP.set(`${r.user4}+@domain1.com`, 'subA');
+        MAP.set(`${r.user5}@sub.domain1.com`, r.dest5);
+        const environment = {
+            ...TEST,
+            'domain1.com@DESTINATION': r.dest6,
+            MAP
+        };
+
+        it.each([
+            ['user1@domain.com', r.dest],
+            ['user3@domain.com', r.dest3],
+            ['user3@domain1.com', r.dest3],
+            ['userN@domain1.com', r.dest1],
+            ['userN@sub.domain1.com', r.dest2],
+            ['userN@deep.sub.domain1.com', r.dest2],
+            ['user4+subA@domain1.com', r.dest4],
+            ['user4+subA@sub.domain1.com', r.dest4],
+            ['user5@sub.domain1.com', r.dest5],
+            ['user5@domain1.com', r.dest1],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['userN@domain.com', r.rejectReason],
+            ['user4@domain.com', r.rejectReason],
+            ['user4+subB@domain1.com', r.rejectReason4],
+            ['user5@domain2.com', r.rejectReason],
+        ])('%s should reject with "%s"', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('message domain comparison is case insensitive', () => {
+        const MAP = new Map();
+        MAP.set(`${r.user1}@domain1.com`, r.dest1);
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain1.com', r.dest1],
+            ['user1@DOMAIN1.com', r.dest1],
+            ['USER1@Domain1.Com', r.dest1],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+    });
+});
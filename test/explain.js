@@ -0,0 +1,162 @@
+import { afterAll, afterEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS, explain } from "./src/worker.js";
+
+// Routing explanation scenarios where:
+// - routing is explained both directly and through the HTTP API
+// - forward mock and setReject spy must never be called
+//
+describe('routing explanation scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        USERS: `${r.user2}, ${r.user3}`,
+        DESTINATION: r.dest,
+        API_TOKEN: 'token',
+    };
+    const forward = message.forward;
+    message.forward = vi.fn();
+    const setReject = vi.spyOn(message, 'setReject');
+
+    afterEach(async () => {
+        expect(message.forward).not.toHaveBeenCalled();
+        expect(setReject).not.toHaveBeenCalled();
+        vi.clearAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    const MAP = new Map();
+    MAP.set('@REJECT_TREATMENT', r.rejectReason);
+    MAP.set(r.user1, `${r.dest1}, ${r.dest1}, invalid;${r.rejectDest1}`);
+    MAP.set(`${r.user1}+`, '*, !spam');
+    MAP.set(`${r.user1}+news`, `${r.dest1a}`);
+    MAP.set(r.user3, `;${r.rejectReason3}`);
+
+    const from = 'sender@sender.com';
+
+    describe('explain()', () => {
+        it.each([
+            [`${r.user1}@domain.com`, 'accept-forward', { source: 'kv-user', key: null }, { source: 'kv-user', key: null }],
+            [`${r.user1}+news@domain.com`, 'accept-forward', { source: 'kv-subaddress', key: null }, { source: 'kv-user', key: null }],
+            [`${r.user2}@domain.com`, 'accept-forward', { source: 'environment', key: 'DESTINATION' }, { source: 'kv-global', key: '@REJECT_TREATMENT' }],
+            [`${r.user3}@domain.com`, 'accept-forward', { source: 'environment', key: 'DESTINATION' }, { source: 'kv-user', key: null }],
+            [`${r.user1}+spam@domain.com`, 'reject-forward', { source: 'kv-user', key: null }, { source: 'kv-user', key: null }],
+            [`${r.user4}@domain.com`, 'direct-reject', { source: 'environment', key: 'DESTINATION' }, { source: 'kv-global', key: '@REJECT_TREATMENT' }],
+        ])('%s should be explained as %s', async (to, action, destinationSource, rejectTreatmentSource) => {
+            const plan = await explain({ to, from }, { ...TEST, MAP });
+            expect(plan.action).toBe(action);
+            expect(plan.sources).toEqual({
+                destination: destinationSource,
+                rejectTreatment: rejectTreatmentSource,
+            });
+        });
+
+        it(`${r.user1}+news@domain.com should be explained with its user, sub-address and forwarding`, async () => {
+            const plan = await explain({ to: `${r.user1}+News@domain.com`, from }, { ...TEST, MAP });
+            expect(plan).toMatchObject({
+                user: r.user1,
+                subaddress: 'news',
+                recipientIsAllowed: true,
+                subaddressIsDenied: false,
+                rule: null,
+                acceptForwarding: {
+                    forwardingPolicy: { type: 'any' },
+                    compoundDestination: [[r.dest1a]],
+                    invalidDestinations: [],
+                    duplicateDestinations: [],
+                },
+                rejectForwarding: {
+                    compoundDestination: [[r.rejectDest1]],
+                    rejectReason: r.rejectReason,
+                },
+            });
+        });
+
+        it(`${r.user1}@domain.com should be explained with its invalid and duplicate destinations`, async () => {
+            const plan = await explain({ to: `${r.user1}@domain.com`, from }, { ...TEST, MAP });
+            expect(plan.acceptForwarding).toEqual({
+                forwardingPolicy: { type: 'any' },
+                compoundDestination: [[r.dest1]],
+                invalidDestinations: ['invalid'],
+                duplicateDestinations: [r.dest1],
+            });
+        });
+
+        it(`${r.user4}@domain.com should be explained as not allowed with the default reject reason`, async () => {
+            const plan = await explain({ to: `${r.user4}@domain.com`, from }, { ...TEST });
+            expect(plan).toMatchObject({
+                recipientIsAllowed: false,
+                acceptForwarding: null,
+                rejectForwarding: { compoundDestination: [], rejectReason: DEFAULTS.REJECT_TREATMENT },
+                sources: { rejectTreatment: { source: 'default', key: 'REJECT_TREATMENT' } },
+            });
+        });
+
+        it.each([
+            [{ 'List-Id': 'news' }, 'accept-forward', r.dest2],
+            [{}, 'direct-reject', null],
+        ])(`${r.user2}@domain.com with headers %o should be explained as %s`, async (headers, action, rule) => {
+            const RULES = `header List-Id news => ${r.dest2}\nfrom * => block`;
+            const plan = await explain({ to: `${r.user2}@domain.com`, from, headers }, { ...TEST, RULES });
+            expect(plan.action).toBe(action);
+            expect(plan.rule?.outcome ?? null).toBe(rule === null ? 'block' : rule);
+            if (rule !== null)
+                expect(plan.sources.destination).toEqual({ source: 'rule', key: null });
+        });
+    });
+
+    describe('HTTP API', () => {
+        const url = 'https://worker.example.com/explain';
+        const authorization = { Authorization: `Bearer ${TEST.API_TOKEN}` };
+
+        async function fetch(body, method = 'POST', headers = authorization) {
+            return await worker.fetch(
+                new Request(url, {
+                    method,
+                    headers,
+                    body: body !== undefined ? JSON.stringify(body) : undefined,
+                }),
+                { ...TEST, MAP }, context);
+        }
+
+        it('should return the routing plan', async () => {
+            const envelope = { to: `${r.user1}@domain.com`, from, headers: { Subject: 'test' } };
+            const response = await fetch(envelope);
+            expect(response.status).toBe(200);
+            expect(await response.json()).toEqual(
+                JSON.parse(JSON.stringify(await explain(envelope, { ...TEST, MAP }))));
+        });
+
+        it.each([
+            ['no recipient', { from }],
+            ['an invalid sender', { to: `${r.user1}@domain.com`, from: 'sender' }],
+            ['invalid headers', { to: `${r.user1}@domain.com`, from, headers: { Subject: 1 } }],
+            ['a list of headers', { to: `${r.user1}@domain.com`, from, headers: [['Subject', 'test']] }],
+            ['an invalid header name', { to: `${r.user1}@domain.com`, from, headers: { 'bad name': 'x' } }],
+            ['an invalid header value', { to: `${r.user1}@domain.com`, from, headers: { Subject: 'a\r\nb' } }],
+        ])('should return 400 for an envelope with %s', async (_, envelope) => {
+            const response = await fetch(envelope);
+            expect(response.status).toBe(400);
+        });
+
+        it('should return 405 for a GET request', async () => {
+            const response = await fetch(undefined, 'GET');
+            expect(response.status).toBe(405);
+        });
+
+        it('should return 401 without the API token', async () => {
+            const response = await fetch({ to: `${r.user1}@domain.com`, from }, 'POST', {});
+            expect(response.status).toBe(401);
+        });
+    });
+});
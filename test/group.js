@@ -0,0 +1,158 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Group scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological other than broken group references
+//
+describe('group scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('group expansion', () => {
+        const MAP = new Map();
+        MAP.set('@USERS', 'user1, user2');
+        MAP.set('@DESTINATION', '%family');
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@SUBADDRESSES', 'subA');
+        MAP.set('%family', `${r.dest1a}:${r.dest1b}, %kids`);
+        MAP.set('%kids', `${r.dest2a}, ${r.dest2b}`);
+        MAP.set('%rejects', `${r.rejectDest1}, +spam@email.com`);
+        MAP.set(r.user3, `${r.dest3}, %KIDS, ${r.dest2a};%rejects`);
+        MAP.set(r.user4, `%kids;%missing`);
+        MAP.set(r.user5, `%missing, ${r.dest5}`);
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain.com', [r.dest1a, r.dest2a, r.dest2b]],
+            ['user2+subA@domain.com', [r.dest1a, r.dest2a, r.dest2b]],
+            ['user3@domain.com', [r.dest3, r.dest2a, r.dest2b]],
+            ['user5@domain.com', [r.dest5]],
+        ])('%s should forward to %s', async (to, dests) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user3+subB@domain.com', [r.rejectDest1, 'user3+spam@email.com']],
+        ])('%s should reject forward to %s', async (to, dests) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user4+subB@domain.com', r.rejectReason],
+        ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        describe('logging duplicates and missing groups', () => {
+            const consoleOutput = vi.fn();
+            const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+            it('user3@domain.com should warn about duplicate destinations', async () => {
+                message.to = 'user3@domain.com';
+                await worker.email(message, environmentWithConsoleOutput, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue: 'duplicate', destinations: [r.dest2a] }),
+                    'warn', expect.anything());
+            });
+
+            it('user5@domain.com should warn about the missing group', async () => {
+                message.to = 'user5@domain.com';
+                await worker.email(message, environmentWithConsoleOutput, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue: 'group not found', groupChain: ['%missing'] }),
+                    'warn', expect.anything());
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue: 'invalidly formatted', destinations: ['%missing'] }),
+                    'warn', expect.anything());
+            });
+        });
+    });
+
+    describe('broken group references', () => {
+        const MAP = new Map();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('%self', `${r.dest1}, %self`);
+        MAP.set('%loop1', `${r.dest2}, %loop2`);
+        MAP.set('%loop2', `${r.dest3}, %loop1`);
+        MAP.set('%chain1', `${r.dest1}, %chain2`);
+        MAP.set('%chain2', `${r.dest2}, %chain3`);
+        MAP.set('%chain3', `${r.dest3}`);
+        MAP.set(r.user1, '%self');
+        MAP.set(r.user2, '%loop1');
+        MAP.set(r.user3, '%chain1');
+        MAP.set(r.user4, '%chain2');
+        const environment = { ...TEST, GROUP_MAX_DEPTH: '2', MAP };
+
+        it.each([
+            ['user1@domain.com', [r.dest1]],
+            ['user2@domain.com', [r.dest2, r.dest3]],
+            ['user3@domain.com', [r.dest1, r.dest2]],
+            ['user4@domain.com', [r.dest2, r.dest3]],
+        ])('%s should forward to %s', async (to, dests) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        describe('logging the broken group chain', () => {
+            const consoleOutput = vi.fn();
+            const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+            it.each([
+                ['user1@domain.com', 'group cycle', ['%self', '%self']],
+                ['user2@domain.com', 'group cycle', ['%loop1', '%loop2', '%loop1']],
+                ['user3@domain.com', 'group chain exceeds maximum depth', ['%chain1', '%chain2', '%chain3']],
+            ])('%s should log \'%s\' with group chain %s', async (to, issue, groupChain) => {
+                message.to = to;
+                await worker.email(message, environmentWithConsoleOutput, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue, groupChain }),
+                    'error', expect.anything());
+            });
+        });
+    });
+});
@@ -0,0 +1,112 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Header rule scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological
+//
+describe('header rule scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+    const headers = message.headers;
+
+    beforeEach(async () => {
+        message.to = null;
+        message.headers = headers;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.headers = headers;
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('user and global header rules', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@USERS', 'user1, user2');
+        MAP.set('@RULES', [
+            'header Auto-Submitted auto-* => block',
+            `header X-Mailer /Mailer v[0-9]+/ => ${r.rejectDest}`,
+        ].join('\n'));
+        MAP.set('@RULES@user1', [
+            `header List-Id => ${r.dest1a}`,
+            `header subject Invoice => ${r.dest1b};${r.rejectDest1}`,
+        ].join('\n'));
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain.com', { 'Subject': 'Hello' }, [r.dest]],
+            ['user1@domain.com', { 'List-Id': '<news.example.com>' }, [r.dest1a]],
+            ['user1@domain.com', { 'Subject': 'Your INVOICE for May' }, [r.dest1b]],
+            ['user1@domain.com', { 'Auto-Submitted': 'no' }, [r.dest]],
+            ['user1@domain.com', { 'X-Mailer': 'Old Mailer' }, [r.dest]],
+            ['user2@domain.com', { 'List-Id': '<news.example.com>' }, [r.dest]],
+            ['user2@domain.com', { 'X-Mailer': 'Mailer v2' }, [r.rejectDest]],
+            ['user1@domain.com', { 'List-Id': '<news.example.com>', 'Auto-Submitted': 'auto-generated' }, [r.dest1a]],
+        ])('%s with headers %o should forward to %s', async (to, messageHeaders, dests) => {
+            message.to = to;
+            message.headers = new Headers(messageHeaders);
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1@domain.com', { 'Auto-Submitted': 'auto-replied' }, r.rejectReason],
+            ['user2@domain.com', { 'auto-submitted': 'Auto-Generated' }, r.rejectReason],
+        ])('%s with headers %o should direct reject with reason \'%s\'', async (to, messageHeaders, reason) => {
+            message.to = to;
+            message.headers = new Headers(messageHeaders);
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        describe('with the forward to the rule destination failing', () => {
+            afterAll(async () => {
+                message.forward = forward;
+            });
+
+            it.each([
+                ['user1@domain.com', { 'Subject': 'Invoice' }, r.dest1b, r.rejectDest1],
+            ])('%s with headers %o (forwards to %s, catches error) should reject forward to %s', async (to, messageHeaders, dest, rejectDest) => {
+                message.to = to;
+                message.headers = new Headers(messageHeaders);
+                message.forward = vi.fn((destination) => {
+                    if (destination === dest) throw new Error('forward error');
+                });
+                const forward = vi.spyOn(message, 'forward');
+                await worker.email(message, { ...environment, CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: '^$' }, context);
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+                expect(forward).toHaveBeenCalledWith(rejectDest, failHeaders);
+                expect(forward).toHaveBeenCalledTimes(2);
+                expect(setReject).not.toHaveBeenCalled();
+            });
+        });
+    });
+});
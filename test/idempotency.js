@@ -0,0 +1,180 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, headers, r, mockForward } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Idempotent forwarding scenarios where:
+// - forward mock throws exceptions for particular destinations
+// - the STATE store is injected
+//
+describe('idempotent forwarding scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: `^${FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX}`,
+        CIRCUIT_BREAKER_FAILURE_THRESHOLD: '0',
+    };
+    const forward = message.forward;
+    const messageHeaders = message.headers;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        message.headers = messageHeaders;
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    // Mocked errors injected
+    const recoverable = FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX;
+    const duplicate = FIXED.CLOUDFLARE_FORWARDING_DUPLICATE_ADDRESS_MESSAGE_PREFIX;
+
+    // Test subject errors caught
+    const recoverableForwardInterfaceErrorRegExp =
+        new RegExp(`^${FIXED.RECOVERABLE_FORWARD_EXCEPTION_MESSAGE_PREFIX}`);
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+    // The key of the destinations delivered to for the message recipient
+    const deliveryKey = () => FIXED.deliveryKey('AcceptForwarding', message.to, headers['Message-ID']);
+
+    // Mocks a STATE store initially storing the destinations delivered to
+    function mockState(deliveredDestinations) {
+        const store = new Map(deliveredDestinations
+            ? [[deliveryKey(), JSON.stringify(deliveredDestinations)]]
+            : []);
+        return {
+            get: vi.fn(async (key) => store.get(key) ?? null),
+            put: vi.fn(async (key, value) => { store.set(key, value); }),
+        };
+    }
+
+    const MAP = new Map();
+    MAP.set('@REJECT_TREATMENT', r.rejectReason);
+    MAP.set(r.user1, `${r.dest1}, ${r.dest2}:${r.dest3}`);
+    MAP.set(r.user2, `${r.dest1}, ${r.dest2}, ${r.dest3}`);
+    const environment = { ...TEST, MAP };
+
+    it('user1@domain.com should only forward to undelivered primary destinations when retried', async () => {
+        message.to = 'user1@domain.com';
+        const state = mockState();
+        const environmentWithState = { ...environment, STATE: state };
+        mockForward({ [r.dest2]: recoverable, [r.dest3]: recoverable });
+        await expect(() => worker.email(message, environmentWithState, context)).rejects
+            .toThrowError(recoverableForwardInterfaceErrorRegExp);
+        expect(message.forward.mock.calls).toEqual([r.dest1, r.dest2, r.dest3].map(dest => [dest, passHeaders]));
+        expect(state.put).toHaveBeenCalledWith(deliveryKey(), JSON.stringify([r.dest1]), { expirationTtl: 86400 });
+        mockForward({ [r.dest2]: recoverable });
+        await worker.email(message, environmentWithState, context);
+        expect(message.forward.mock.calls).toEqual([r.dest2, r.dest3].map(dest => [dest, passHeaders]));
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        [[r.dest1], {}, [r.dest2]],
+        [[r.dest3], {}, [r.dest1]],
+        [[r.dest1, r.dest3], {}, []],
+        [[], { [r.dest1]: duplicate }, [r.dest1, r.dest2]],
+        [null, { [r.dest1]: duplicate, [r.dest2]: duplicate }, [r.dest1, r.dest2]],
+    ])('user1@domain.com (with delivered destinations %o and failing destinations %o) should forward to %o', async (deliveredDestinations, failingDestinations, dests) => {
+        message.to = 'user1@domain.com';
+        const forward = mockForward(failingDestinations);
+        await worker.email(message, { ...environment, STATE: mockState(deliveredDestinations) }, context);
+        expect(forward.mock.calls).toEqual(dests.map(dest => [dest, passHeaders]));
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    it('user2@domain.com should store the previously and newly delivered destinations', async () => {
+        message.to = 'user2@domain.com';
+        mockForward({ [r.dest3]: recoverable });
+        const state = mockState([r.dest1]);
+        await expect(() => worker.email(message, { ...environment, STATE: state }, context)).rejects
+            .toThrowError(recoverableForwardInterfaceErrorRegExp);
+        expect(message.forward.mock.calls).toEqual([r.dest2, r.dest3].map(dest => [dest, passHeaders]));
+        expect(state.put).toHaveBeenCalledWith(deliveryKey(), JSON.stringify([r.dest1, r.dest2]), expect.anything());
+    });
+
+    it('user2@domain.com should not skip the destinations delivered to for another recipient of the same message', async () => {
+        message.to = 'user1@domain.com';
+        const state = mockState([r.dest1, r.dest3]);
+        message.to = 'user2@domain.com';
+        mockForward({});
+        await worker.email(message, { ...environment, STATE: state }, context);
+        expect(state.get).toHaveBeenCalledWith(deliveryKey());
+        expect(message.forward.mock.calls).toEqual([r.dest1, r.dest2, r.dest3].map(dest => [dest, passHeaders]));
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    it('user1@domain.com should not store the delivered destinations without a recoverable error', async () => {
+        message.to = 'user1@domain.com';
+        mockForward({});
+        const state = mockState();
+        await worker.email(message, { ...environment, STATE: state }, context);
+        expect(state.get).toHaveBeenCalledWith(deliveryKey());
+        expect(state.put).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['without a Message-ID', () => { message.headers = new Headers({ subject: headers.subject }); }, {}],
+        ['with an idempotency TTL of 0', () => { }, { IDEMPOTENCY_TTL: '0' }],
+    ])('user1@domain.com %s should neither load nor store the delivered destinations', async (_, setup, configuration) => {
+        message.to = 'user1@domain.com';
+        setup();
+        mockForward({ [r.dest2]: recoverable, [r.dest3]: recoverable });
+        const state = mockState([r.dest1]);
+        await expect(() => worker.email(message, { ...environment, ...configuration, STATE: state }, context)).rejects
+            .toThrowError(recoverableForwardInterfaceErrorRegExp);
+        expect(message.forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+        expect(state.get).not.toHaveBeenCalled();
+        expect(state.put).not.toHaveBeenCalled();
+    });
+
+    it('user1@domain.com should not treat a duplicate error as successful with an idempotency TTL of 0', async () => {
+        message.to = 'user1@domain.com';
+        mockForward({ [r.dest1]: duplicate, [r.dest2]: duplicate, [r.dest3]: duplicate });
+        await worker.email(message, { ...environment, IDEMPOTENCY_TTL: '0', STATE: mockState() }, context);
+        expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+    });
+
+    describe('logging idempotent forwarding', () => {
+        const consoleOutput = vi.fn();
+        const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+        it('user1@domain.com should log skipping an already delivered primary destination', async () => {
+            message.to = 'user1@domain.com';
+            mockForward({});
+            await worker.email(message, { ...environmentWithConsoleOutput, STATE: mockState([r.dest3]) }, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'SkipForward', primaryDestinationId: 2, backupDestinationId: 2, backupDestination: r.dest3, reason: 'already delivered' }),
+                'log', expect.anything());
+        });
+
+        it('user1@domain.com should warn and forward if the STATE store fails', async () => {
+            message.to = 'user1@domain.com';
+            mockForward({ [r.dest2]: recoverable, [r.dest3]: recoverable });
+            const state = {
+                get: async () => { throw new Error('get failed'); },
+                put: async () => { throw new Error('put failed'); },
+            };
+            await expect(() => worker.email(message, { ...environmentWithConsoleOutput, STATE: state }, context)).rejects
+                .toThrowError(recoverableForwardInterfaceErrorRegExp);
+            for (const [issue, errorMessage] of [['delivered destinations not loaded', 'get failed'], ['delivered destinations not stored', 'put failed']])
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue, errorMessage }),
+                    'warn', expect.anything());
+        });
+    });
+});
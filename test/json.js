@@ -0,0 +1,248 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import escape from 'regexp.escape';
+
+// Common test utilities and resources
+import { message, r, InMemoryKVNamespace } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// JSON user configuration scenarios where:
+// - users are configured by JSON values stored in the MAP
+// - forward mock throws exceptions for particular destinations
+//
+describe('JSON user configuration scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: `^(${escape(FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX)})`,
+        API_TOKEN: 'token',
+    };
+    const forward = message.forward;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    // Mocks forward to throw an unrecoverable error for each failing
+    // destination
+    function mockForward(failingDestinations = []) {
+        message.forward = vi.fn(async (destination) => {
+            if (failingDestinations.includes(destination))
+                throw new Error('unrecoverable error');
+        });
+        return message.forward;
+    }
+    // Returns the destinations forwarded to
+    function forwardedDestinations() {
+        return message.forward.mock.calls.map(call => call[0]);
+    }
+
+    const MAP = new Map();
+    MAP.set(r.user1, JSON.stringify({
+        destinations: [[r.dest1, r.dest1a], r.dest2],
+        forwardingPolicy: 'all',
+        rejectTreatment: r.rejectReason1,
+    }));
+    MAP.set(r.user2, JSON.stringify({
+        destinations: [r.dest2],
+        rejectTreatment: { destinations: [r.rejectDest2] },
+        subaddresses: { allowed: ['*'], denied: ['spam'] },
+    }));
+    MAP.set(`${r.user2}+news`, JSON.stringify({ destinations: [r.dest3] }));
+    MAP.set(`${r.user2}+alias`, JSON.stringify({ alias: r.user3 }));
+    MAP.set(r.user3, JSON.stringify({
+        destinations: [r.dest3],
+        subaddresses: { allowed: ['bank'], required: true },
+        rules: [`from @spam.com => block`],
+    }));
+    MAP.set(`${r.user3}+`, 'other');
+    MAP.set(r.user4, JSON.stringify({ alias: r.user2 }));
+    MAP.set(r.user5, JSON.stringify({ destinations: 'not a list' }));
+    MAP.set(r.user6, `  { }  `);
+    MAP.set(r.user7, JSON.stringify({ destinations: [r.dest7, r.dest8], forwardingPolicy: 'ALL' }));
+    MAP.set('@DESTINATION', r.dest);
+
+    describe('routing', () => {
+        it.each([
+            ['user1@domain.com', [], [r.dest1, r.dest2]],
+            ['user1@domain.com', [r.dest1], [r.dest1, r.dest1a, r.dest2]],
+            ['user2@domain.com', [], [r.dest2]],
+            ['user2+news@domain.com', [], [r.dest3]],
+            ['user2+other@domain.com', [], [r.dest2]],
+            ['user2+spam@domain.com', [], [r.rejectDest2]],
+            ['user2@domain.com', [r.dest2], [r.dest2, r.rejectDest2]],
+            ['user3+bank@domain.com', [], [r.dest3]],
+            ['user4@domain.com', [], [r.dest2]],
+            ['user6@domain.com', [], [r.dest]],
+            ['user7@domain.com', [], [r.dest7, r.dest8]],
+        ])('%s with failing destinations %o should forward to %o', async (to, failingDestinations, destinations) => {
+            message.to = to;
+            mockForward(failingDestinations);
+            await worker.email(message, { ...TEST, MAP }, context);
+            expect(forwardedDestinations().sort()).toEqual(destinations.sort());
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1@domain.com', [r.dest2], r.rejectReason1],
+            ['user3@domain.com', [], TEST.REJECT_TREATMENT],
+            ['user3+other@domain.com', [], TEST.REJECT_TREATMENT],
+            ['user7@domain.com', [r.dest8], TEST.REJECT_TREATMENT],
+        ])('%s with failing destinations %o should reject with %s', async (to, failingDestinations, rejectReason) => {
+            message.to = to;
+            mockForward(failingDestinations);
+            await worker.email(message, { ...TEST, MAP }, context);
+            expect(setReject).toHaveBeenCalledWith(rejectReason);
+        });
+
+        it('user3+bank@domain.com should be blocked by its rule', async () => {
+            message.to = 'user3+bank@domain.com';
+            mockForward();
+            const from = message.from;
+            message.from = 'sender@spam.com';
+            await worker.email(message, { ...TEST, MAP }, context);
+            message.from = from;
+            expect(forwardedDestinations()).toEqual([]);
+            expect(setReject).toHaveBeenCalledWith(TEST.REJECT_TREATMENT);
+        });
+
+        it('user5@domain.com should be rejected with an error for its invalid configuration', async () => {
+            message.to = 'user5@domain.com';
+            mockForward();
+            const consoleOutput = vi.fn();
+            await worker.email(message, { ...TEST, MAP, consoleOutput }, context);
+            expect(setReject).toHaveBeenCalledWith(TEST.REJECT_TREATMENT);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    issue: 'invalid JSON user configuration',
+                    key: r.user5,
+                    issues: [expect.objectContaining({ path: '/destinations', keyword: 'type' })],
+                }),
+                'error', expect.anything());
+        });
+
+        it('user2+alias@domain.com should be routed as the user with an error for its sub-address configuration', async () => {
+            message.to = 'user2+alias@domain.com';
+            mockForward();
+            const consoleOutput = vi.fn();
+            await worker.email(message, { ...TEST, MAP, consoleOutput }, context);
+            expect(forwardedDestinations()).toEqual([r.dest2]);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    issue: 'invalid JSON user configuration',
+                    key: `${r.user2}+alias`,
+                    issues: [{ issue: 'fields not applying to a sub-address', fields: ['alias'] }],
+                }),
+                'error', expect.anything());
+        });
+    });
+
+    describe('schema', () => {
+        it.each([
+            [{ destinations: [r.dest1, [r.dest2, r.dest3]], forwardingPolicy: 'quorum:2' }, []],
+            [{ rejectTreatment: { destinations: [r.rejectDest1], forwardingPolicy: 'any' } }, []],
+            [{ destination: r.dest1 }, [{ path: '', keyword: 'additionalProperties', property: 'destination' }]],
+            [{ destinations: [[]] }, [{ path: '/destinations/0', keyword: 'anyOf' }]],
+            [{ forwardingPolicy: '' }, [{ path: '/forwardingPolicy', keyword: 'minLength' }]],
+            [{ alias: r.user2 }, []],
+            [{ alias: r.user2, destinations: [r.dest1], rules: [] }, [{
+                path: '', keyword: 'maxProperties', properties: ['alias', 'destinations', 'rules'],
+            }]],
+            [{ rejectTreatment: {} }, [{ path: '/rejectTreatment', keyword: 'anyOf' }]],
+            [{ subaddresses: { allowed: ['a', 1] } }, [{ path: '/subaddresses/allowed/1', keyword: 'type' }]],
+            [[], [{ path: '', keyword: 'type' }]],
+        ])('%o should have the issues %o', (value, issues) => {
+            expect(FIXED.schemaIssues(value, FIXED.USER_CONFIGURATION_SCHEMA))
+                .toEqual(issues.map(issue => expect.objectContaining(issue)));
+        });
+    });
+
+    describe('HTTP API', () => {
+        const url = 'https://worker.example.com/config';
+
+        async function fetch(map, path, method = 'GET', body = undefined) {
+            return await worker.fetch(
+                new Request(`${url}${path}`, {
+                    method,
+                    headers: { Authorization: `Bearer ${TEST.API_TOKEN}` },
+                    body: body !== undefined ? JSON.stringify(body) : undefined,
+                }),
+                { ...TEST, MAP: map }, context);
+        }
+
+        it('should publish the schema', async () => {
+            const response = await fetch(new InMemoryKVNamespace(), '/schema');
+            expect(response.status).toBe(200);
+            expect(response.headers.get('Content-Type')).toBe('application/schema+json');
+            expect(await response.json()).toEqual(FIXED.USER_CONFIGURATION_SCHEMA);
+        });
+
+        it.each([
+            ['/users/user1', { destinations: [r.dest1], subaddresses: { allowed: ['*'] }, rules: ['from @bank.com => allow'] }],
+            ['/users/user1', { alias: r.user2 }],
+            ['/users/user1', { destinations: [r.dest1, r.dest2], forwardingPolicy: 'ALL' }],
+            ['/users/user1', { rejectTreatment: { destinations: [r.rejectDest1], forwardingPolicy: ' Quorum : 1 ' } }],
+            ['/users/user1/subaddresses/news', { destinations: [r.dest1], rejectTreatment: r.rejectReason }],
+        ])('%s should accept the JSON value %o', async (path, value) => {
+            const map = new InMemoryKVNamespace();
+            const response = await fetch(map, path, 'PUT', { value: JSON.stringify(value) });
+            expect(response.status).toBe(201);
+        });
+
+        it.each([
+            ['/users/user1', '{"destinations": [', [expect.objectContaining({ issue: 'invalidly formatted JSON' })]],
+            ['/users/user1', JSON.stringify({ destinations: ['invalid'] }),
+                [{ issue: 'invalidly formatted', destinations: ['invalid'] }]],
+            ['/users/user1', JSON.stringify({ rejectTreatment: 'a;b' }),
+                [expect.objectContaining({ issue: 'reject reason contains the reject separator' })]],
+            ['/users/user1', JSON.stringify({ subaddresses: { denied: [''] } }),
+                [expect.objectContaining({ path: '/subaddresses/denied/0', keyword: 'minLength' })]],
+            ['/users/user1', JSON.stringify({ destinations: [r.dest1], forwardingPolicy: 'most' }),
+                [{ issue: 'invalidly formatted forwarding policy', path: '/forwardingPolicy', forwardingPolicy: 'most' }]],
+            ['/users/user1', JSON.stringify({ rejectTreatment: { destinations: [r.rejectDest1], forwardingPolicy: 'quorum' } }),
+                [{
+                    issue: 'invalidly formatted forwarding policy',
+                    path: '/rejectTreatment/forwardingPolicy', forwardingPolicy: 'quorum',
+                }]],
+            ['/users/user1', JSON.stringify({ alias: r.user2, subaddresses: { allowed: ['*'] } }),
+                [expect.objectContaining({ path: '', keyword: 'maxProperties' })]],
+            ['/users/user1', JSON.stringify({ destinations: [`${r.dest1};go away`] }),
+                [{ issue: 'item contains a separator', path: '/destinations/0', separators: [';'] }]],
+            ['/users/user1', JSON.stringify({ destinations: [`${r.dest1},${r.dest2}`, [r.dest3, `${r.dest1}:${r.dest2}`]] }),
+                [
+                    { issue: 'item contains a separator', path: '/destinations/0', separators: [','] },
+                    { issue: 'item contains a separator', path: '/destinations/1/1', separators: [':'] },
+                ]],
+            ['/users/user1', JSON.stringify({ rejectTreatment: { destinations: [`${r.rejectDest1},${r.rejectDest2}`] } }),
+                [{ issue: 'item contains a separator', path: '/rejectTreatment/destinations/0', separators: [','] }]],
+            ['/users/user1', JSON.stringify({ subaddresses: { allowed: ['a,b'] }, rules: ['from @a.com => allow\nfrom @b.com => allow'] }),
+                [
+                    { issue: 'item contains a separator', path: '/subaddresses/allowed/0', separators: [','] },
+                    { issue: 'item contains a separator', path: '/rules/0', separators: ['\n'] },
+                ]],
+            ['/users/user1/subaddresses/news', JSON.stringify({ destinations: [r.dest1], rules: [] }),
+                [{ issue: 'fields not applying to a sub-address', fields: ['rules'] }]],
+        ])('%s should not accept the JSON value %s', async (path, value, issues) => {
+            const map = new InMemoryKVNamespace();
+            const response = await fetch(map, path, 'PUT', { value });
+            expect(response.status).toBe(400);
+            expect((await response.json()).issues).toEqual(issues);
+            expect(map.store.size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Local-part normalization scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological
+//
+describe('local-part normalization scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('addressLocalParts', () => {
+        it.each([
+            ['User+Sub', '+', {}, ['user', 'sub']],
+            ['User+Sub+More', '+', {}, ['user', 'sub+more']],
+            ['User', ['+', '-'], {}, ['user', '']],
+            ['User-Sub+More', ['+', '-'], {}, ['user', 'sub+more']],
+            ['User+Sub-More', ['+', '-'], {}, ['user', 'sub-more']],
+            ['First.Last+Sub.Addr', '+', { ignoreDots: true }, ['firstlast', 'sub.addr']],
+            ['First.Last+Sub', '+', { preserveCase: true }, ['First.Last', 'Sub']],
+        ])('%s separated by %o normalized by %o should be %o', async (localPart, separators, normalization, localParts) => {
+            expect(DEFAULTS.addressLocalParts(localPart, separators, normalization)).toEqual(localParts);
+        });
+
+        // Non-ASCII local parts are not included in the test names
+        it.each([
+            ['Stra\u00dfe+SUB', '+', { unicode: true }, ['strasse', 'sub']],
+            ['\uff55\uff53\uff45\uff52+\uff53\uff55\uff42', '+', { unicode: true }, ['user', 'sub']],
+        ])('non-ASCII local part %# should be split and normalized', async (localPart, separators, normalization, localParts) => {
+            expect(DEFAULTS.addressLocalParts(localPart, separators, normalization)).toEqual(localParts);
+        });
+    });
+
+    describe('normalization configuration', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', '@email.com');
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@USERS', 'first.last, strasse');
+        MAP.set('@SUBADDRESSES', 'Bank, news');
+        MAP.set('@ADDITIONAL_LOCAL_PART_SEPARATORS', '-');
+        MAP.set('@LOCAL_PART_NORMALIZATION', 'unicode, ignore-dots');
+        MAP.set('jane', `{user}+{sub}@email.com`);
+        MAP.set('johnsmith', r.dest1);
+        MAP.set('jsmith', '=John.Smith');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['first.last@domain.com', 'firstlast@email.com'],
+            ['FirstLast@domain.com', 'firstlast@email.com'],
+            ['f.i.r.s.t.l.a.s.t+bank@domain.com', 'firstlast@email.com'],
+            ['first.last-BANK@domain.com', 'firstlast@email.com'],
+            ['J.ane+News@domain.com', 'jane+news@email.com'],
+            ['jsmith@domain.com', r.dest1],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('a non-ASCII user should forward when Unicode normalized', async () => {
+            message.to = 'Stra\u00dfe-News@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith('strasse@email.com', passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['first.last+other@domain.com', r.rejectReason],
+            ['first.last_bank@domain.com', r.rejectReason],
+        ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        describe('preserving case in destinations', () => {
+            const environmentPreservingCase = {
+                ...environment,
+                LOCAL_PART_NORMALIZATION: 'preserve-case',
+                USE_STORED_ADDRESS_CONFIGURATION: 'false',
+                DESTINATION: '@email.com',
+                USERS: 'first.last',
+                SUBADDRESSES: '*',
+            };
+
+            it.each([
+                ['First.Last@domain.com', 'First.Last@email.com'],
+                ['First.Last+Bank@domain.com', 'First.Last@email.com'],
+                ['Jane+Bank@domain.com', 'Jane+Bank@email.com'],
+            ])('%s should forward to %s', async (to, dest) => {
+                message.to = to;
+                await worker.email(message, environmentPreservingCase, context);
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+                expect(forward).toHaveBeenCalledTimes(1);
+                expect(setReject).not.toHaveBeenCalled();
+            });
+        });
+    });
+});
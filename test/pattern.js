@@ -0,0 +1,184 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// User pattern scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological
+//
+describe('user pattern scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('pattern matching', () => {
+        it.each([
+            ['sales-*', 'sales-', true],
+            ['sales-*', 'sales-emea', true],
+            ['sales-*', 'SALES-EMEA', true],
+            ['sales-*', 'presales-emea', false],
+            ['*-bot', 'build-bot', true],
+            ['*-bot', 'build-bots', false],
+            ['user?', 'user1', true],
+            ['user?', 'user10', false],
+            ['a.b', 'a.b', true],
+            ['a.b*', 'axb', false],
+            ['/sales-[0-9]+/', 'sales-42', true],
+            ['/sales-[0-9]+/', 'sales-42x', false],
+            ['/sales|support/', 'support', true],
+            ['/sales|support/', 'presales', false],
+        ])('pattern %s matching %s should be %s', (pattern, user, expected) => {
+            expect(FIXED.patternRegExp(pattern).test(user)).toBe(expected);
+        });
+
+        it.each([
+            ['*', true],
+            ['sales-*', true],
+            ['user?', true],
+            ['/sales/', true],
+            ['sales', false],
+            ['/sales', false],
+        ])('%s should be a pattern: %s', (text, expected) => {
+            expect(FIXED.isPattern(text)).toBe(expected);
+        });
+    });
+
+    describe('configuration by environment variables', () => {
+        const environment = {
+            ...TEST,
+            USERS: 'user1, sales-*, *-bot, /team[0-9]+/, /[/',
+            DESTINATION: r.destDomain,
+        };
+
+        it.each([
+            ['user1@domain.com', `user1${r.destDomain}`],
+            ['sales-emea@domain.com', `sales-emea${r.destDomain}`],
+            ['SALES-APAC+subA@domain.com', `sales-apac${r.destDomain}`],
+            ['build-bot@domain.com', `build-bot${r.destDomain}`],
+            ['team42@domain.com', `team42${r.destDomain}`],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user2@domain.com', environment.REJECT_TREATMENT],
+            ['presales@domain.com', environment.REJECT_TREATMENT],
+            ['build-bots@domain.com', environment.REJECT_TREATMENT],
+            ['team@domain.com', environment.REJECT_TREATMENT],
+        ])('%s should reject with "%s"', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('configuration by KV patterns', () => {
+        const MAP = new Map();
+        MAP.set('@USERS', 'user1, sales-*, *-bot, /team[0-9]+/, support-?');
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@SUBADDRESSES', 'subA');
+        MAP.set('sales-*', `${r.dest1};${r.rejectDest1}`);
+        MAP.set('sales-*+', 'subB');
+        MAP.set('*-bot', `;${r.rejectReason2}`);
+        MAP.set('/team[0-9]+/', r.dest3);
+        MAP.set('sales-vip', r.dest4);
+        MAP.set('sales-vip+', '*');
+        MAP.set('sales-emea+', 'subC');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain.com', r.dest],
+            ['sales-emea@domain.com', r.dest1],
+            ['sales-emea+subC@domain.com', r.dest1],
+            ['sales-apac+subB@domain.com', r.dest1],
+            ['sales-vip+subZ@domain.com', r.dest4],
+            ['build-bot@domain.com', r.dest],
+            ['team42+subA@domain.com', r.dest3],
+            ['support-1@domain.com', r.dest],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['sales-apac+subA@domain.com', r.rejectDest1],
+            ['sales-emea+subB@domain.com', r.rejectDest1],
+        ])('%s should reject forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['build-bot+subB@domain.com', r.rejectReason2],
+            ['team42+subB@domain.com', r.rejectReason],
+            ['support-10@domain.com', r.rejectReason],
+            ['user2@domain.com', r.rejectReason],
+        ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('precedence of exact users over patterns', () => {
+        const MAP = new Map();
+        MAP.set('@USERS', 'sales-*, sales-emea, *');
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('sales-*', r.dest1);
+        MAP.set('*', r.dest2);
+        MAP.set('sales-apac', r.dest3);
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['sales-apac@domain.com', r.dest3],
+            ['sales-emea@domain.com', r.dest],
+            ['sales-amer@domain.com', r.dest1],
+            ['userN@domain.com', r.dest],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+    });
+});
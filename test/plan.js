@@ -0,0 +1,183 @@
+import { afterAll, afterEach, describe, expect, it, vi } from 'vitest';
+import escape from 'regexp.escape';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import { FIXED, DEFAULTS, StoredConfigurationNotLoaded, executeRoutingPlan, loadedConfigurationSnapshot, resolveRoutingPlan } from "./src/worker.js";
+
+// Routing plan scenarios where:
+// - plans are resolved from configuration snapshots without a MAP
+// - forward mock records the destinations forwarded to
+//
+describe('routing plan scenarios', () => {
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: r.rejectReason,
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: `^(${escape(FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX)})`,
+    };
+    const forward = message.forward;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    // Returns a configuration snapshot with the stored configuration values
+    function snapshot(stored, environment = {}) {
+        return {
+            environment: { ...TEST, ...environment },
+            stored: stored,
+            time: new Date(1700000000000),
+        };
+    }
+    // The stored configuration values needed for user1 without a sub-address
+    const stored = {
+        '@DESTINATION': null,
+        '@REJECT_TREATMENT': null,
+        '@SUBADDRESSES': null,
+        '@USERS': null,
+        '@RULES': null,
+        '@FORWARDING_POLICY': null,
+        '@ADDITIONAL_LOCAL_PART_SEPARATORS': null,
+        '@LOCAL_PART_NORMALIZATION': null,
+        [r.user1]: `${r.dest1}, ${r.dest2};${r.rejectDest1}`,
+        [`${r.user1}+`]: null,
+        [`@RULES@${r.user1}`]: null,
+    };
+
+    describe('resolving', () => {
+        it('user1@domain.com should resolve to an immutable plan', () => {
+            const plan = resolveRoutingPlan({ ...message, to: 'user1@domain.com' }, snapshot(stored));
+            expect(plan).toMatchObject({
+                user: r.user1,
+                action: 'accept-forward',
+                acceptForwarding: { compoundDestination: [[r.dest1], [r.dest2]] },
+                rejectForwarding: { compoundDestination: [[r.rejectDest1]], rejectReason: r.rejectReason },
+            });
+            expect(Object.isFrozen(plan)).toBe(true);
+            expect(Object.isFrozen(plan.acceptForwarding.compoundDestination[0])).toBe(true);
+        });
+
+        it('user1@domain.com should resolve the same plan from the same snapshot', () => {
+            const envelope = { ...message, to: 'user1@domain.com' };
+            expect(resolveRoutingPlan(envelope, snapshot(stored)))
+                .toEqual(resolveRoutingPlan(envelope, snapshot(stored)));
+        });
+
+        it('user1+sub@domain.com should throw if a stored configuration value was not loaded', () => {
+            expect(() => resolveRoutingPlan({ ...message, to: 'user1+sub@domain.com' }, snapshot(stored)))
+                .toThrowError(expect.objectContaining({
+                    name: 'StoredConfigurationNotLoaded',
+                    keys: [`${r.user1}+sub`],
+                }));
+            expect(() => resolveRoutingPlan({ ...message, to: 'user1+sub@domain.com' }, snapshot(stored)))
+                .toThrowError(StoredConfigurationNotLoaded);
+        });
+
+        it('user1@domain.com should not need stored values which are not used', () => {
+            const plan = resolveRoutingPlan({ ...message, to: 'user1@domain.com' },
+                snapshot({}, { USE_STORED_ADDRESS_CONFIGURATION: 'false', USE_STORED_USER_CONFIGURATION: 'false', USERS: r.user1, DESTINATION: r.dest }));
+            expect(plan.acceptForwarding.compoundDestination).toEqual([[r.dest]]);
+        });
+
+        it('user1@domain.com should include the log records in the plan', () => {
+            const plan = resolveRoutingPlan({ ...message, to: 'user1@domain.com' },
+                snapshot({ ...stored, [r.user1]: `[invalid] ${r.dest1}` }));
+            expect(plan.logs).toContainEqual([
+                expect.objectContaining({ issue: 'invalidly formatted forwarding policy' }), 'warn']);
+        });
+    });
+
+    describe('loading', () => {
+        it('user1@domain.com should load only the stored configuration values needed', async () => {
+            const MAP = new Map(Object.entries(stored).filter(([, value]) => value !== null));
+            const get = vi.spyOn(MAP, 'get');
+            const loaded = await loadedConfigurationSnapshot(
+                { ...message, to: 'user1@domain.com' }, { ...TEST, MAP });
+            expect(loaded.stored).toEqual(stored);
+            expect(get).toHaveBeenCalledTimes(Object.keys(stored).length);
+        });
+
+        it('user1+tag@a.b.example.com should load the stored configuration values concurrently', async () => {
+            const MAP = new Map([[`${r.user1}@b.example.com`, r.dest1], ['@example.com@DESTINATION', r.dest2]]);
+            // Each round of loading starts when no value is being loaded
+            let loading = 0;
+            let rounds = 0;
+            const get = vi.spyOn(MAP, 'get').mockImplementation(async function (key) {
+                rounds += loading++ === 0 ? 1 : 0;
+                await new Promise(resolve => setTimeout(resolve, 0));
+                loading--;
+                return Map.prototype.get.call(this, key);
+            });
+            const envelope = { ...message, to: 'user1+tag@a.b.example.com' };
+            const loaded = await loadedConfigurationSnapshot(
+                envelope, { ...TEST, USE_DOMAIN_SCOPED_CONFIGURATION: 'true', MAP });
+            expect(rounds).toBeLessThanOrEqual(2);
+            const keys = get.mock.calls.map(call => call[0]);
+            expect(new Set(keys).size).toBe(keys.length);
+            expect(resolveRoutingPlan(envelope, loaded).acceptForwarding.compoundDestination)
+                .toEqual([[r.dest1]]);
+        });
+
+        it.each([
+            ['__proto__'],
+            ['constructor'],
+            ['hasownproperty'],
+        ])('%s@domain.com should load each stored configuration value once', async (user) => {
+            const MAP = new Map([[user, r.dest1]]);
+            const get = vi.spyOn(MAP, 'get');
+            const loaded = await loadedConfigurationSnapshot(
+                { ...message, to: `${user}@domain.com` }, { ...TEST, MAP });
+            expect(Object.hasOwn(loaded.stored, user)).toBe(true);
+            const keys = get.mock.calls.map(call => call[0]);
+            expect(new Set(keys).size).toBe(keys.length);
+            expect(resolveRoutingPlan({ ...message, to: `${user}@domain.com` }, loaded))
+                .toMatchObject({ user: user, acceptForwarding: { compoundDestination: [[r.dest1]] } });
+        });
+    });
+
+    describe('executing', () => {
+        const unrecoverable = 'unrecoverable error';
+
+        it.each([
+            ['accepted', {}, [r.dest1, r.dest2], false],
+            ['quarantined', { [r.dest1]: unrecoverable, [r.dest2]: unrecoverable }, [r.dest1, r.dest2, r.rejectDest1], false],
+            ['failed', { [r.dest1]: unrecoverable, [r.dest2]: unrecoverable, [r.rejectDest1]: unrecoverable }, [r.dest1, r.dest2, r.rejectDest1], true],
+        ])('user1@domain.com should be %s', async (outcome, failingDestinations, destinations, isRejected) => {
+            message.to = 'user1@domain.com';
+            message.forward = vi.fn(async (destination) => {
+                if (destination in failingDestinations)
+                    throw new Error(failingDestinations[destination]);
+            });
+            const plan = resolveRoutingPlan(message, snapshot(stored));
+            expect(await executeRoutingPlan(message, plan, TEST)).toBe(outcome);
+            expect(message.forward.mock.calls.map(call => call[0]).sort()).toEqual(destinations.sort());
+            if (isRejected)
+                expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+            else
+                expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('user1@domain.com should output the log records of the plan', async () => {
+            message.to = 'user1@domain.com';
+            message.forward = vi.fn();
+            const consoleOutput = vi.fn();
+            const plan = resolveRoutingPlan(message,
+                snapshot({ ...stored, [r.user1]: `[invalid] ${r.dest1}` }));
+            await executeRoutingPlan(message, plan, { ...TEST, consoleOutput });
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ issue: 'invalidly formatted forwarding policy' }),
+                'warn', expect.anything());
+        });
+    });
+});
@@ -0,0 +1,144 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import escape from 'regexp.escape';
+
+// Common test utilities and resources
+import { message, r, mockForward } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Forwarding policy scenarios where:
+// - forward mock throwing exceptions due to destinations having either
+//     recoverable or unrecoverable errors
+//
+describe('forwarding policy scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: `^(${escape(FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX)})`,
+    };
+    const forward = message.forward;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    // Mocked errors injected
+    const recoverable = FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX;
+    const unrecoverable = FIXED.CLOUDFLARE_FORWARDING_UNVERIFIED_ADDRESS_MESSAGE_PREFIX;
+
+    // Test subject errors caught
+    const recoverableForwardInterfaceErrorRegExp =
+        new RegExp(`^${escape(FIXED.RECOVERABLE_FORWARD_EXCEPTION_MESSAGE_PREFIX)}`);
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    const MAP = new Map();
+    MAP.set('@REJECT_TREATMENT', r.rejectReason);
+    MAP.set(r.user1, `[all] ${r.dest1}, ${r.dest2}, ${r.dest3};${r.rejectDest1}`);
+    MAP.set(r.user2, `[ Quorum : 2 ] ${r.dest1}, ${r.dest2}, ${r.dest3}`);
+    MAP.set(r.user3, `${r.dest1}, ${r.dest2}`);
+    MAP.set(r.user4, `[any] ${r.dest1}, ${r.dest2}`);
+    MAP.set(r.user5, `[quorum] ${r.dest1}, ${r.dest2}`);
+    MAP.set(r.user6, `${r.dest1};[all] ${r.rejectDest1}, ${r.rejectDest2}`);
+    const environment = { ...TEST, MAP };
+    const environmentWithAllPolicy = { ...environment, FORWARDING_POLICY: 'all' };
+
+    it.each([
+        ['user1@domain.com', {}, [r.dest1, r.dest2, r.dest3], environment],
+        ['user2@domain.com', { [r.dest3]: recoverable }, [r.dest1, r.dest2, r.dest3], environment],
+        ['user2@domain.com', { [r.dest3]: unrecoverable }, [r.dest1, r.dest2, r.dest3], environment],
+        ['user3@domain.com', { [r.dest2]: unrecoverable }, [r.dest1, r.dest2], environment],
+        ['user3@domain.com', {}, [r.dest1, r.dest2], environmentWithAllPolicy],
+        ['user4@domain.com', { [r.dest2]: unrecoverable }, [r.dest1, r.dest2], environmentWithAllPolicy],
+        ['user5@domain.com', { [r.dest2]: unrecoverable }, [r.dest1, r.dest2], environment],
+    ])('%s (with failing destinations %o) should forward to %s', async (to, failingDestinations, dests, environment) => {
+        message.to = to;
+        const forward = mockForward(failingDestinations);
+        await worker.email(message, environment, context);
+        for (const dest of dests)
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+        expect(forward).toHaveBeenCalledTimes(dests.length);
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['user1@domain.com', { [r.dest2]: unrecoverable }, [r.dest1, r.dest2, r.dest3], [r.rejectDest1], environment],
+        ['user6@domain.com', { [r.dest1]: unrecoverable }, [r.dest1], [r.rejectDest1, r.rejectDest2], environment],
+    ])('%s (with failing destinations %o, forwards to %s) should reject forward to %s', async (to, failingDestinations, dests, rejectDests, environment) => {
+        message.to = to;
+        const forward = mockForward(failingDestinations);
+        await worker.email(message, environment, context);
+        for (const dest of dests)
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+        for (const rejectDest of rejectDests)
+            expect(forward).toHaveBeenCalledWith(rejectDest, failHeaders);
+        expect(forward).toHaveBeenCalledTimes(dests.length + rejectDests.length);
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['user2@domain.com', { [r.dest2]: unrecoverable, [r.dest3]: unrecoverable }, r.rejectReason, environment],
+        ['user3@domain.com', { [r.dest2]: unrecoverable }, r.rejectReason, environmentWithAllPolicy],
+        ['user6@domain.com', { [r.dest1]: unrecoverable, [r.rejectDest2]: unrecoverable }, r.rejectReason, environment],
+    ])('%s (with failing destinations %o) should direct reject with reason \'%s\'', async (to, failingDestinations, reason, environment) => {
+        message.to = to;
+        mockForward(failingDestinations);
+        await worker.email(message, environment, context);
+        expect(setReject).toHaveBeenCalledWith(reason);
+        expect(setReject).toHaveBeenCalledTimes(1);
+    });
+
+    it.each([
+        ['user1@domain.com', { [r.dest2]: recoverable }, environment],
+        ['user2@domain.com', { [r.dest2]: recoverable, [r.dest3]: unrecoverable }, environment],
+        ['user3@domain.com', { [r.dest2]: recoverable }, environmentWithAllPolicy],
+    ])('%s (with failing destinations %o) should throw', async (to, failingDestinations, environment) => {
+        message.to = to;
+        mockForward(failingDestinations);
+        await expect(() => worker.email(message, environment, context)).rejects
+            .toThrowError(recoverableForwardInterfaceErrorRegExp);
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    describe('logging forwarding policies', () => {
+        const consoleOutput = vi.fn();
+        const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+        it.each([
+            ['user2@domain.com', { type: 'quorum', quorum: 2 }],
+            ['user3@domain.com', { type: 'any' }],
+        ])('%s should log forwarding policy %o', async (to, forwardingPolicy) => {
+            message.to = to;
+            mockForward({});
+            await worker.email(message, environmentWithConsoleOutput, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'AcceptForwarding', forwardingPolicy }),
+                'info', expect.anything());
+        });
+
+        it('user5@domain.com should warn about the invalidly formatted forwarding policy', async () => {
+            message.to = 'user5@domain.com';
+            mockForward({});
+            await worker.email(message, environmentWithConsoleOutput, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ issue: 'invalidly formatted forwarding policy', forwardingPolicy: 'quorum' }),
+                'warn', expect.anything());
+        });
+    });
+});
@@ -0,0 +1,107 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r, mockForward } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Retry scenarios where:
+// - forward mock throws a sequence of exceptions for particular destinations
+// - the clock, sleeping and the randomness of the jitter are injected
+//
+describe('retry scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: '^$',
+        RETRY_ATTEMPTS: '3',
+        RETRY_BASE_DELAY: '500',
+        RETRY_MAX_DELAY: '800',
+        RETRY_JITTER: '0',
+        RETRY_TIME_BUDGET: '10000',
+    };
+    const forward = message.forward;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    // The injected clock only advances when sleeping
+    let time = 0;
+    const now = () => new Date(time);
+    const sleep = vi.fn(async (milliseconds) => {
+        time += milliseconds;
+    });
+
+    beforeEach(async () => {
+        message.to = null;
+        time = 0;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    // Mocked errors injected
+    const transient = `${FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX}: Unknown error: transient error (421)`;
+    const permanent = `${FIXED.CLOUDFLARE_FORWARDING_TRANSPORT_ERROR_MESSAGE_PREFIX}: Unknown error: permanent error (550)`;
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    const MAP = new Map();
+    MAP.set('@REJECT_TREATMENT', r.rejectReason);
+    MAP.set(r.user1, `${r.dest1}:${r.dest2}`);
+    const environment = { ...TEST, MAP, now, sleep, random: () => 0.5 };
+
+    it.each([
+        [{ [r.dest1]: [transient, transient] }, [r.dest1, r.dest1, r.dest1], [500, 800], environment],
+        [{ [r.dest1]: [transient, transient, transient, transient] }, [r.dest1, r.dest1, r.dest1, r.dest1, r.dest2], [500, 800, 800], environment],
+        [{ [r.dest1]: [transient, permanent] }, [r.dest1, r.dest1, r.dest2], [500], environment],
+        [{ [r.dest1]: [permanent] }, [r.dest1, r.dest2], [], environment],
+        [{ [r.dest1]: [transient] }, [r.dest1, r.dest2], [], { ...environment, RETRY_ATTEMPTS: DEFAULTS.RETRY_ATTEMPTS }],
+        [{ [r.dest1]: [transient, transient, transient] }, [r.dest1, r.dest1, r.dest2], [500], { ...environment, RETRY_TIME_BUDGET: '1000' }],
+        [{ [r.dest1]: [transient, transient] }, [r.dest1, r.dest1, r.dest1], [375, 750], { ...environment, RETRY_MAX_DELAY: '5000', RETRY_JITTER: '0.5' }],
+        [{ [r.dest1]: [transient, transient] }, [r.dest1, r.dest1, r.dest1], [500, 800], { ...environment, RETRY_BASE_DELAY: 'abc' }],
+    ])('user1@domain.com (with failing destinations %o) should forward to %o after sleeping %o', async (failingDestinations, dests, delays, environment) => {
+        message.to = 'user1@domain.com';
+        const forward = mockForward(failingDestinations);
+        await worker.email(message, environment, context);
+        expect(forward.mock.calls).toEqual(dests.map(dest => [dest, passHeaders]));
+        expect(sleep.mock.calls).toEqual(delays.map(delay => [delay]));
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    it('user1@domain.com (with all retries failing) should direct reject', async () => {
+        message.to = 'user1@domain.com';
+        const forward = mockForward({ [r.dest1]: Array(4).fill(transient), [r.dest2]: Array(4).fill(transient) });
+        await worker.email(message, environment, context);
+        expect(forward).toHaveBeenCalledTimes(8);
+        expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+        expect(setReject).toHaveBeenCalledTimes(1);
+    });
+
+    describe('logging retries', () => {
+        const consoleOutput = vi.fn();
+        const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+        it('user1@domain.com should log each retry with its attempt number', async () => {
+            message.to = 'user1@domain.com';
+            mockForward({ [r.dest1]: [transient, transient] });
+            await worker.email(message, environmentWithConsoleOutput, context);
+            for (const [attempt, delay] of [[2, 500], [3, 800]])
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ action: 'RetryForward', backupDestination: r.dest1, attempt, delay, errorMessage: transient }),
+                    'warn', expect.anything());
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'SimpleForward', backupDestination: r.dest1, attempt: 3, wasSuccessful: true }),
+                'log', expect.anything());
+        });
+    });
+});
@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Schedule rule scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - the current time is injected
+// - nothing pathological other than invalid schedules
+//
+describe('schedule rule scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('business hours and holidays', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('support', r.dest1);
+        MAP.set('@RULES@support', [
+            `schedule 2024-12-24..2024-12-26,2025-01-01 => ${r.dest2}`,
+            `schedule mon-fri 09:00-17:30 Europe/London => ${r.dest1}`,
+            `schedule => ${r.dest2}`,
+        ].join('\n'));
+        MAP.set('night', r.dest3);
+        MAP.set('@RULES@night', [
+            `schedule 22:00-06:00 => ${r.dest4}`,
+            `schedule fri-mon America/New_York => ${r.dest5}`,
+        ].join('\n'));
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            // Monday in British Summer Time
+            ['support@domain.com', '2024-06-03T08:00:00Z', r.dest1],
+            ['support@domain.com', '2024-06-03T07:59:00Z', r.dest2],
+            ['support@domain.com', '2024-06-03T16:29:00Z', r.dest1],
+            ['support@domain.com', '2024-06-03T16:30:00Z', r.dest2],
+            // Saturday
+            ['support@domain.com', '2024-06-08T12:00:00Z', r.dest2],
+            // Tuesday in Greenwich Mean Time, both business hours and holidays
+            ['support@domain.com', '2024-12-17T09:00:00Z', r.dest1],
+            ['support@domain.com', '2024-12-24T09:00:00Z', r.dest2],
+            ['support@domain.com', '2024-12-26T17:00:00Z', r.dest2],
+            ['support@domain.com', '2024-12-27T09:00:00Z', r.dest1],
+            ['support@domain.com', '2025-01-01T09:00:00Z', r.dest2],
+            // Spanning midnight
+            ['night@domain.com', '2024-06-04T23:00:00Z', r.dest4],
+            ['night@domain.com', '2024-06-05T05:59:00Z', r.dest4],
+            ['night@domain.com', '2024-06-05T06:00:00Z', r.dest3],
+            // Spanning the end of the week in another time zone
+            ['night@domain.com', '2024-06-03T12:00:00Z', r.dest5],
+            ['night@domain.com', '2024-06-04T03:00:00Z', r.dest4],
+            ['night@domain.com', '2024-06-04T12:00:00Z', r.dest3],
+            ['night@domain.com', '2024-06-07T12:00:00Z', r.dest5],
+        ])('%s at %s should forward to %s', async (to, time, dest) => {
+            message.to = to;
+            await worker.email(message, { ...environment, now: () => new Date(time) }, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('invalid schedules', () => {
+        const consoleOutput = vi.fn();
+        const environment = {
+            ...TEST,
+            USERS: '*',
+            DESTINATION: r.dest,
+            RULES: [
+                `schedule mon-fri Invalid/Zone => ${r.dest1}`,
+                `schedule mon-fri Europe/London UTC => ${r.dest2}`,
+                `schedule 09:00-17:00 => ${r.dest3}`,
+            ].join('\n'),
+            consoleOutput,
+            now: () => new Date('2024-06-03T10:00:00Z'),
+        };
+
+        it('user@domain.com should skip the invalid schedules and forward to the next match', async () => {
+            message.to = 'user@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest3, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            [`schedule mon-fri Invalid/Zone => ${r.dest1}`],
+            [`schedule mon-fri Europe/London UTC => ${r.dest2}`],
+        ])('should warn about the invalid rule \'%s\'', async (rule) => {
+            message.to = 'user@domain.com';
+            await worker.email(message, environment, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ issue: 'invalid rule', ruleSource: 'global', rule }),
+                'warn', expect.anything());
+        });
+    });
+});
@@ -0,0 +1,220 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Sender rule scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological other than invalid rules
+//
+describe('sender rule scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+    const from = message.from;
+
+    beforeEach(async () => {
+        message.to = null;
+        message.from = from;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.from = from;
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('user and global sender rules', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@USERS', 'user1, user2, sales-*');
+        MAP.set('@RULES', [
+            'from spammer@spam.com => block',
+            'from *@*.spam.com, /.*@spam[0-9]+\\.com/ => block',
+        ].join('\n'));
+        MAP.set(r.user3, `${r.dest3};${r.rejectDest3}`);
+        MAP.set('@RULES@user3', [
+            'from @bank.com => allow',
+            `from alerts@bank.com => ${r.dest1}`,
+            'from SPAMMER@spam.com => allow',
+        ].join('\n'));
+        MAP.set(r.user4, `${r.dest4};${r.rejectReason4}`);
+        MAP.set('@RULES@user4', [
+            `from @shop.com => ${r.dest4}, ${r.dest1};${r.rejectDest4}`,
+            'from blocked@shop.com => block',
+        ].join('\n'));
+        MAP.set('@RULES@sales-*', 'from @partner.com => allow');
+        MAP.set('user5', '=user4');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain.com', 'friend@internet.com', [r.dest]],
+            ['user1@domain.com', 'spammer@spam.com.au', [r.dest]],
+            ['user3@domain.com', 'statements@bank.com', [r.dest3]],
+            ['user3@domain.com', 'alerts@bank.com', [r.dest3]],
+            ['user3+subA@domain.com', 'Statements@Bank.com', [r.dest3]],
+            ['user3@domain.com', 'spammer@spam.com', [r.dest3]],
+            ['user4@domain.com', 'friend@internet.com', [r.dest4]],
+            ['user4@domain.com', 'orders@shop.com', [r.dest4, r.dest1]],
+            ['user4@domain.com', 'blocked@shop.com', [r.dest4, r.dest1]],
+            ['user5@domain.com', 'orders@shop.com', [r.dest4, r.dest1]],
+            ['sales-emea@domain.com', 'buyer@partner.com', [r.dest]],
+        ])('%s from %s should forward to %s', async (to, sender, dests) => {
+            message.to = to;
+            message.from = sender;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user3@domain.com', 'friend@internet.com', r.rejectDest3],
+        ])('%s from %s should reject forward to %s', async (to, sender, dest) => {
+            message.to = to;
+            message.from = sender;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1@domain.com', 'spammer@spam.com', r.rejectReason],
+            ['user2+subA@domain.com', 'SPAMMER@SPAM.COM', r.rejectReason],
+            ['user2@domain.com', 'anyone@mail.spam.com', r.rejectReason],
+            ['user2@domain.com', 'anyone@spam42.com', r.rejectReason],
+            ['user4@domain.com', 'spammer@spam.com', r.rejectReason4],
+            ['sales-emea@domain.com', 'friend@internet.com', r.rejectReason],
+        ])('%s from %s should direct reject with reason \'%s\'', async (to, sender, reason) => {
+            message.to = to;
+            message.from = sender;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        describe('logging the rule applied', () => {
+            const consoleOutput = vi.fn();
+            const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+            it.each([
+                ['user1@domain.com', 'spammer@spam.com', 'from spammer@spam.com => block', 'global', 'block'],
+                ['user3@domain.com', 'alerts@bank.com', 'from @bank.com => allow', 'user', 'allow'],
+                ['user3@domain.com', 'friend@internet.com', null, null, 'block'],
+            ])('%s from %s should log rule \'%s\' from %s rules', async (to, sender, rule, ruleSource, outcome) => {
+                message.to = to;
+                message.from = sender;
+                await worker.email(message, environmentWithConsoleOutput, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ action: 'ApplyingRule', rule, ruleSource, outcome }),
+                    'info', expect.anything());
+            });
+        });
+    });
+
+    describe('user pattern ending in a glob wildcard', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@USERS', 'user, user?');
+        MAP.set('@RULES@user', `from @bank.com => ${r.dest1}`);
+        MAP.set('@RULES@user?', 'from @spam.com => block');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user7@domain.com', 'friend@internet.com', [r.dest]],
+            ['user7@domain.com', 'alerts@bank.com', [r.dest]],
+            ['user@domain.com', 'alerts@bank.com', [r.dest1]],
+        ])('%s from %s should forward to %s', async (to, sender, dests) => {
+            message.to = to;
+            message.from = sender;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('user7@domain.com from spammer@spam.com should be blocked by the rules of the user pattern', async () => {
+            message.to = 'user7@domain.com';
+            message.from = 'spammer@spam.com';
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+        });
+    });
+
+    describe('invalid rules', () => {
+        const consoleOutput = vi.fn();
+        const environment = {
+            ...TEST,
+            USERS: '*',
+            DESTINATION: r.dest,
+            REJECT_TREATMENT: r.rejectReason,
+            RULES: [
+                'from spammer@spam.com block',
+                'to spammer@spam.com => block',
+                'from /spam[/ => block',
+                'from *@spam.com => block',
+            ].join('\n'),
+            consoleOutput,
+        };
+
+        it.each([
+            ['user@domain.com', 'spammer@internet.com', [r.dest]],
+        ])('%s from %s should forward to %s', async (to, sender, dests) => {
+            message.to = to;
+            message.from = sender;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user@domain.com', 'spammer@spam.com', r.rejectReason],
+        ])('%s from %s should direct reject with reason \'%s\'', async (to, sender, reason) => {
+            message.to = to;
+            message.from = sender;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        it.each([
+            ['invalidly formatted rule', 'from spammer@spam.com block'],
+            ['invalidly formatted rule', 'to spammer@spam.com => block'],
+            ['invalid rule', 'from /spam[/ => block'],
+        ])('should warn about the %s \'%s\'', async (issue, rule) => {
+            message.to = 'user@domain.com';
+            message.from = 'spammer@spam.com';
+            await worker.email(message, environment, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ issue, ruleSource: 'global', rule }),
+                'warn', expect.anything());
+        });
+    });
+});
@@ -0,0 +1,144 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS } from "./src/worker.js";
+
+// Backup strategy scenarios where:
+// - forward mock delays and throws exceptions for particular destinations
+// - the head start of the staggered strategy is injected
+//
+describe('backup strategy scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason',
+        CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: '^$',
+    };
+    const forward = message.forward;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    const unrecoverable = FIXED.CLOUDFLARE_FORWARDING_UNVERIFIED_ADDRESS_MESSAGE_PREFIX;
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Mocks forward to throw an error for each failing destination and to
+    // resolve only when each delayed destination's returned release function
+    // is called
+    function mockForward(failingDestinations, delayedDestinations = []) {
+        const releases = {};
+        message.forward = vi.fn(async (destination) => {
+            if (delayedDestinations.includes(destination))
+                await new Promise(resolve => { releases[destination] = resolve; });
+            if (failingDestinations.includes(destination))
+                throw new Error(unrecoverable);
+        });
+        return [vi.spyOn(message, 'forward'), releases];
+    }
+
+    // Sleeping which never elapses, so that a staggered strategy only
+    // attempts the next backup destination after the previous one failed
+    const sleepForever = () => new Promise(() => { });
+    // Sleeping which elapses immediately
+    const sleepInstantly = () => Promise.resolve();
+
+    const MAP = new Map();
+    MAP.set('@REJECT_TREATMENT', r.rejectReason);
+    MAP.set(r.user1, `${r.dest1}:${r.dest2}:${r.dest3}`);
+    const environment = { ...TEST, MAP };
+
+    it.each([
+        ['sequential', [], [r.dest1], environment],
+        ['sequential', [r.dest1], [r.dest1, r.dest2], environment],
+        ['invalid', [r.dest1], [r.dest1, r.dest2], environment],
+        ['parallel', [], [r.dest1, r.dest2, r.dest3], environment],
+        ['parallel', [r.dest1, r.dest2], [r.dest1, r.dest2, r.dest3], environment],
+        ['staggered:100', [], [r.dest1], { ...environment, sleep: sleepForever }],
+        ['staggered:100', [r.dest1], [r.dest1, r.dest2], { ...environment, sleep: sleepForever }],
+        ['staggered:100', [r.dest1, r.dest2], [r.dest1, r.dest2, r.dest3], { ...environment, sleep: sleepForever }],
+        ['staggered:0', [r.dest1, r.dest2], [r.dest1, r.dest2, r.dest3], { ...environment, sleep: sleepInstantly }],
+    ])('user1@domain.com with strategy %s (with failing destinations %o) should forward to %o', async (backupStrategy, failingDestinations, dests, environment) => {
+        message.to = 'user1@domain.com';
+        const [forward] = mockForward(failingDestinations);
+        await worker.email(message, { ...environment, BACKUP_STRATEGY: backupStrategy }, context);
+        for (const dest of dests)
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+        expect(forward).toHaveBeenCalledTimes(dests.length);
+        expect(setReject).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['sequential'],
+        ['parallel'],
+        ['staggered:100'],
+    ])('user1@domain.com with strategy %s (with all destinations failing) should direct reject', async (backupStrategy) => {
+        message.to = 'user1@domain.com';
+        const [forward] = mockForward([r.dest1, r.dest2, r.dest3]);
+        await worker.email(message, { ...environment, BACKUP_STRATEGY: backupStrategy }, context);
+        expect(forward).toHaveBeenCalledTimes(3);
+        expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+        expect(setReject).toHaveBeenCalledTimes(1);
+    });
+
+    describe('reporting the first successful backup destination', () => {
+        const forwardToPrimaryDestination = vi.fn(DEFAULTS.forwardToPrimaryDestination);
+        const environmentWithForwarding = { ...environment, forwardToPrimaryDestination };
+
+        it('the staggered strategy should report the backup destination which succeeded first', async () => {
+            message.to = 'user1@domain.com';
+            const head = Promise.withResolvers();
+            const [forward, releases] = mockForward([], [r.dest1]);
+            // Releases the slow first backup destination only after the
+            // second one succeeded
+            const sleep = vi.fn(async () => {
+                head.resolve();
+            });
+            const email = worker.email(message, { ...environmentWithForwarding, BACKUP_STRATEGY: 'staggered:50', sleep }, context);
+            await head.promise;
+            await vi.waitFor(() => expect(forward).toHaveBeenCalledWith(r.dest2, passHeaders));
+            releases[r.dest1]();
+            await email;
+            expect(sleep).toHaveBeenCalledWith(50);
+            expect(forward).toHaveBeenCalledTimes(2);
+            const result = await forwardToPrimaryDestination.mock.results[0].value;
+            expect(result.wasSuccessful).toBe(true);
+            expect(result.successfulDestination).toBe(r.dest2);
+        });
+    });
+
+    describe('logging backup strategies', () => {
+        const consoleOutput = vi.fn();
+        const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+        it.each([
+            ['sequential', 'sequential'],
+            ['Parallel', 'parallel'],
+            ['staggered : 10', 'staggered'],
+            ['invalid', 'sequential'],
+        ])('strategy %s should be logged as %s', async (backupStrategy, type) => {
+            message.to = 'user1@domain.com';
+            mockForward([]);
+            await worker.email(message, { ...environmentWithConsoleOutput, BACKUP_STRATEGY: backupStrategy }, context);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'SimpleForward', backupStrategy: type, backupDestination: r.dest1, wasSuccessful: true }),
+                'log', expect.anything());
+        });
+    });
+});
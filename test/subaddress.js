@@ -0,0 +1,241 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Sub-address scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological
+//
+describe('sub-address scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('per-sub-address destinations', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@SUBADDRESSES', 'subA');
+        MAP.set('@USERS', 'sales-*');
+        MAP.set(r.user1, `${r.dest1};${r.rejectDest1}`);
+        MAP.set('user1+bank', r.dest1a);
+        MAP.set('user1+github', `${r.dest1a}, ${r.dest1b};${r.rejectReason1}`);
+        MAP.set('user1+shop', ` ;${r.rejectDest1a}`);
+        MAP.set(r.user2, '');
+        MAP.set('user2+bank', `;${r.rejectReason2}`);
+        MAP.set('sales-*+bank', r.dest3);
+        MAP.set('sales-emea+bank', r.dest4);
+        MAP.set('user3+bank', r.dest3);
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain.com', [r.dest1]],
+            ['user1+subA@domain.com', [r.dest1]],
+            ['user1+bank@domain.com', [r.dest1a]],
+            ['USER1+BANK@domain.com', [r.dest1a]],
+            ['user1+github@domain.com', [r.dest1a, r.dest1b]],
+            ['user1+shop@domain.com', [r.dest1]],
+            ['user2+bank@domain.com', [r.dest]],
+            ['sales-apac+bank@domain.com', [r.dest3]],
+            ['sales-emea+bank@domain.com', [r.dest4]],
+        ])('%s should forward to %s', async (to, dests) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1+subB@domain.com', r.rejectDest1],
+        ])('%s should reject forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user2+subB@domain.com', r.rejectReason],
+            ['user3+bank@domain.com', r.rejectReason],
+        ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('sub-address deny-list', () => {
+        const MAP = new Map();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@SUBADDRESSES', '*, !leakedA');
+        MAP.set('@USERS', 'user1, user2, user3, user4, user5');
+        MAP.set('user2+', 'subA, subB, !subB');
+        MAP.set('user3+', '+ *, !leakedB');
+        MAP.set(r.user4, `${r.dest4};${r.rejectReason4}`);
+        MAP.set('user4+', '!leakedB, !leakedC');
+        MAP.set('user4+leakedc', `${r.dest4};${r.rejectDest4}`);
+        MAP.set('user5+', '!leakedB');
+        MAP.set('user5+leakedb', r.dest5);
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain.com', r.dest],
+            ['user1+subA@domain.com', r.dest],
+            ['user1+leakedB@domain.com', r.dest],
+            ['user2+subA@domain.com', r.dest],
+            ['user3+leakedA@domain.com', r.dest],
+            ['user4@domain.com', r.dest4],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user4+leakedC@domain.com', r.rejectDest4],
+        ])('%s should reject forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1+leakedA@domain.com', r.rejectReason],
+            ['USER1+LEAKEDA@domain.com', r.rejectReason],
+            ['user2+subB@domain.com', r.rejectReason],
+            ['user3@domain.com', r.rejectReason],
+            ['user3+leakedB@domain.com', r.rejectReason],
+            ['user4+leakedB@domain.com', r.rejectReason4],
+            ['user4+subA@domain.com', r.rejectReason4],
+            ['user5+leakedB@domain.com', r.rejectReason],
+        ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        describe('with denied sub-address reject treatment', () => {
+            const environmentWithDenyRejectTreatment = {
+                ...environment,
+                SUBADDRESS_DENY_REJECT_TREATMENT: r.rejectReason1,
+            };
+
+            it.each([
+                ['user1+leakedA@domain.com', r.rejectReason1],
+                ['user4+leakedB@domain.com', r.rejectReason1],
+                ['user4+subA@domain.com', r.rejectReason4],
+            ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+                message.to = to;
+                await worker.email(message, environmentWithDenyRejectTreatment, context);
+                expect(forward).not.toHaveBeenCalled();
+                expect(setReject).toHaveBeenCalledWith(reason);
+                expect(setReject).toHaveBeenCalledTimes(1);
+            });
+
+            it.each([
+                ['user4+leakedC@domain.com', r.rejectDest4],
+            ])('%s should reject forward to %s', async (to, dest) => {
+                message.to = to;
+                await worker.email(message, environmentWithDenyRejectTreatment, context);
+                expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+                expect(forward).toHaveBeenCalledTimes(1);
+                expect(setReject).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('logging which rule denied the sub-address', () => {
+            const consoleOutput = vi.fn();
+            const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+            it.each([
+                ['user1+leakedA@domain.com', '!leakeda', 'global'],
+                ['user4+leakedB@domain.com', '!leakedb', 'user'],
+            ])('%s should log deny rule %s from %s configuration', async (to, denyRule, denyRuleSource) => {
+                message.to = to;
+                await worker.email(message, environmentWithConsoleOutput, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ action: 'DenyingSubaddress', denyRule, denyRuleSource }),
+                    'info', expect.anything());
+            });
+        });
+    });
+
+    describe('per-sub-address reject treatments', () => {
+        const MAP = new Map();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set(r.user1, `${r.dest1};${r.rejectReason1}`);
+        MAP.set('user1+bank', `${r.dest1a};${r.rejectDest1a}`);
+        MAP.set('user1+github', `${r.dest1b};: github reject reason`);
+        const environment = { ...TEST, MAP };
+
+        afterAll(async () => {
+            message.forward = forward;
+        });
+
+        it.each([
+            ['user1+bank@domain.com', r.dest1a, r.rejectDest1a],
+        ])('%s (forwards to %s, catches error) should reject forward to %s', async (to, dest, rejectDest) => {
+            message.to = to;
+            message.forward = vi.fn((destination) => {
+                if (destination === dest) throw new Error('forward error');
+            });
+            const forward = vi.spyOn(message, 'forward');
+            await worker.email(message, { ...environment, CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: '^$' }, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledWith(rejectDest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(2);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1+github@domain.com', r.dest1b, 'user1+github: github reject reason'],
+        ])('%s (forwards to %s, catches error) should direct reject with reason \'%s\'', async (to, dest, reason) => {
+            message.to = to;
+            message.forward = vi.fn((destination) => {
+                if (destination === dest) throw new Error('forward error');
+            });
+            const forward = vi.spyOn(message, 'forward');
+            await worker.email(message, { ...environment, CLOUDFLARE_RECOVERABLE_FORWARDING_ERROR_REGEXP: '^$' }, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+});
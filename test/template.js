@@ -0,0 +1,115 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { DEFAULTS } from "./src/worker.js";
+
+// Destination template scenarios where:
+// - message.forward mock doesn't throw any exceptions
+// - nothing pathological other than templates which cannot be expanded
+//
+describe('destination template scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USE_STORED_USER_CONFIGURATION: "true",
+        REJECT_TREATMENT: 'default reject reason'
+    };
+
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+    const from = message.from;
+
+    beforeEach(async () => {
+        message.to = null;
+        message.from = from;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.from = from;
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    describe('configuration by environment variables', () => {
+        const environment = {
+            ...TEST,
+            USERS: '*',
+            DESTINATION: '{user}.{sub}@archive.com:{user}@archive.com, team+{user}@email.com',
+            REJECT_TREATMENT: '{sender_domain}+{user}@reject.com',
+        };
+
+        it.each([
+            ['user1@domain.com', ['user1@archive.com', 'team+user1@email.com']],
+            ['user1+subA@domain.com', ['user1.suba@archive.com', 'team+user1@email.com']],
+            ['USER2+Bank@domain.com', ['user2.bank@archive.com', 'team+user2@email.com']],
+        ])('%s should forward to %s', async (to, dests) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            for (const dest of dests)
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('configuration by KV', () => {
+        const MAP = new Map();
+        MAP.set('@USERS', '*');
+        MAP.set('@DESTINATION', '{sub}@{domain}');
+        MAP.set('@REJECT_TREATMENT', '{user}@{sender_domain}');
+        MAP.set(r.user1, `{user}+{sub}@email.com:${r.dest1};rejects+{sub}@reject.com`);
+        MAP.set(r.user2, '{unknown}@email.com');
+        MAP.set(r.user3, '+{domain}@email.com');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user+subA@domain.com', 'suba@domain.com'],
+            ['user+subA@other.com', 'suba@other.com'],
+            ['user1+subA@domain.com', 'user1+suba@email.com'],
+            ['user1@domain.com', r.dest1],
+            ['user3+subA@domain.com', 'user3+domain.com@email.com'],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user@domain.com', 'sender@internet.com', 'user@internet.com'],
+            ['user2@domain.com', 'sender@internet.com', 'user2@internet.com'],
+        ])('%s from %s should reject forward to %s', async (to, sender, dest) => {
+            message.to = to;
+            message.from = sender;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        describe('logging templates with unknown placeholders', () => {
+            const consoleOutput = vi.fn();
+            const environmentWithConsoleOutput = { ...environment, consoleOutput };
+
+            it('user2@domain.com should warn about the invalidly formatted destination', async () => {
+                message.to = 'user2@domain.com';
+                await worker.email(message, environmentWithConsoleOutput, context);
+                expect(consoleOutput).toHaveBeenCalledWith(
+                    expect.objectContaining({ issue: 'invalidly formatted', destinations: ['{unknown}@email.com'] }),
+                    'warn', expect.anything());
+            });
+        });
+    });
+});
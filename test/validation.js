@@ -0,0 +1,245 @@
+import { afterAll, afterEach, describe, expect, it, vi } from 'vitest';
+
+// Common test utilities and resources
+import { message, r } from "./test/common.js";
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, validateConfiguration } from "./src/worker.js";
+
+// Configuration validation scenarios where:
+// - configuration is validated both directly and when an email is received
+// - forward mock records the destinations forwarded to
+//
+describe('configuration validation scenarios', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        CONSOLE_OUTPUT_LEVEL: '0',
+        USE_STORED_ADDRESS_CONFIGURATION: "true",
+        USERS: `${r.user1}`,
+        DESTINATION: r.dest,
+    };
+    const forward = message.forward;
+    const setReject = vi.spyOn(message, 'setReject');
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    afterAll(async () => {
+        message.forward = forward;
+    });
+
+    describe('validateConfiguration()', () => {
+        it('should not have issues with the default configuration', async () => {
+            expect(await validateConfiguration(DEFAULTS)).toEqual([]);
+        });
+
+        it.each([
+            [{ FORMAT_REJECT_SEPARATOR: ',' }, {
+                issue: 'separators not all different', severity: 'error',
+                names: ['FORMAT_PRIMARY_ADDRESS_SEPARATOR', 'FORMAT_REJECT_SEPARATOR'], separator: ',',
+            }],
+            [{ FORMAT_BACKUP_ADDRESS_SEPARATOR: '@' }, {
+                issue: 'invalid separator', severity: 'error',
+                name: 'FORMAT_BACKUP_ADDRESS_SEPARATOR', separator: '@',
+            }],
+            [{ FORMAT_LOCAL_PART_SEPARATOR: '' }, {
+                issue: 'invalid separator', severity: 'error',
+                name: 'FORMAT_LOCAL_PART_SEPARATOR', separator: '',
+            }],
+            [{ CLOUDFLARE_RETRYABLE_FORWARDING_ERROR_REGEXP: '(' }, expect.objectContaining({
+                issue: 'uncompilable regular expression', severity: 'error',
+                name: 'CLOUDFLARE_RETRYABLE_FORWARDING_ERROR_REGEXP', regExp: '(',
+            })],
+            [{ CUSTOM_HEADER: 'My-Header' }, {
+                issue: 'invalid custom header', severity: 'error',
+                name: 'CUSTOM_HEADER', customHeader: 'My-Header',
+            }],
+            [{ CONSOLE_OUTPUT_LEVEL: 'verbose' }, {
+                issue: 'invalid console output level', severity: 'warn',
+                name: 'CONSOLE_OUTPUT_LEVEL', consoleOutputLevel: 'verbose', fallback: DEFAULTS.CONSOLE_OUTPUT_LEVEL,
+            }],
+            [{ USERS: `${r.user1}, /[/` }, expect.objectContaining({
+                issue: 'invalid user pattern', severity: 'warn', name: 'USERS', pattern: '/[/',
+            })],
+            [{ FORWARDING_POLICY: 'most' }, {
+                issue: 'invalidly formatted forwarding policy', severity: 'warn',
+                name: 'FORWARDING_POLICY', fallback: DEFAULTS.FORWARDING_POLICY,
+            }],
+            [{ SUBADDRESSES: '*, !' }, {
+                issue: 'empty denied sub-address', severity: 'warn', name: 'SUBADDRESSES',
+            }],
+            [{ FORMAT_GROUP_PREFIX: '' }, {
+                issue: 'invalid separator', severity: 'error', name: 'FORMAT_GROUP_PREFIX', separator: '',
+            }],
+            [{ FORMAT_GROUP_PREFIX: '+' }, {
+                issue: 'separators not all different', severity: 'error',
+                names: ['FORMAT_LOCAL_PART_SEPARATOR', 'FORMAT_GROUP_PREFIX'], separator: '+',
+            }],
+            [{ FORMAT_RULE_SEPARATOR: ',' }, {
+                issue: 'separators not all different', severity: 'error',
+                names: ['FORMAT_PRIMARY_ADDRESS_SEPARATOR', 'FORMAT_RULE_SEPARATOR'], separator: ',',
+            }],
+            [{ BACKUP_STRATEGY: 'fastest' }, {
+                issue: 'invalidly formatted backup strategy', severity: 'warn',
+                name: 'BACKUP_STRATEGY', backupStrategy: 'fastest', fallback: DEFAULTS.BACKUP_STRATEGY,
+            }],
+            [{ FORWARDING_ERROR_POLICY: 'transient:retry, bogus' }, {
+                issue: 'invalidly formatted forwarding error policy', severity: 'warn',
+                name: 'FORWARDING_ERROR_POLICY', forwardingErrorPolicy: 'bogus',
+            }],
+            [{ RETRY_BASE_DELAY: 'abc' }, {
+                issue: 'invalid number', severity: 'warn',
+                name: 'RETRY_BASE_DELAY', value: 'abc', fallback: DEFAULTS.RETRY_BASE_DELAY,
+            }],
+            [{ RETRY_JITTER: '1.5' }, {
+                issue: 'invalid number', severity: 'warn',
+                name: 'RETRY_JITTER', value: '1.5', fallback: DEFAULTS.RETRY_JITTER,
+            }],
+            [{ ADDITIONAL_LOCAL_PART_SEPARATORS: ',' }, {
+                issue: 'empty additional local-part separator', severity: 'warn', name: 'ADDITIONAL_LOCAL_PART_SEPARATORS',
+            }],
+            [{ ADDITIONAL_LOCAL_PART_SEPARATORS: '-, ;' }, {
+                issue: 'invalid additional local-part separators', severity: 'warn',
+                name: 'ADDITIONAL_LOCAL_PART_SEPARATORS', separators: [';'],
+            }],
+            [{ DESTINATION: `[quorum:3] ${r.dest1}, ${r.dest2}` }, {
+                issue: 'quorum exceeds the primary destinations', severity: 'warn',
+                name: 'DESTINATION', quorum: 3, primaryDestinations: 2,
+            }],
+            [{ DEFERRED_DELIVERY: 'true', QUEUE: {} }, {
+                issue: 'deferred delivery bindings missing', severity: 'warn',
+                name: 'DEFERRED_DELIVERY', bindings: ['SEND_EMAIL'],
+            }],
+            [{ DEFERRED_DELIVERY: 'true' }, {
+                issue: 'deferred delivery bindings missing', severity: 'warn',
+                name: 'DEFERRED_DELIVERY', bindings: ['QUEUE', 'SEND_EMAIL'],
+            }],
+        ])('%o should have the issue %o', async (environment, issue) => {
+            expect(await validateConfiguration(environment)).toEqual([issue]);
+        });
+
+        it.each([
+            [`${r.dest1}, invalid`, [
+                { issue: 'invalidly formatted', severity: 'warn', name: 'DESTINATION', destinations: ['invalid'] },
+            ]],
+            ['invalid', [
+                { issue: 'invalidly formatted', severity: 'warn', name: 'DESTINATION', destinations: ['invalid'] },
+                { issue: 'destination never validates', severity: 'warn', name: 'DESTINATION' },
+            ]],
+            ['{sub}@email.com', []],
+            ['%group', []],
+            [`[quorum:3] ${r.dest1}, ${r.dest2}, %group`, []],
+        ])('the destination %s should have the issues %o', async (DESTINATION, issues) => {
+            expect(await validateConfiguration({ DESTINATION })).toEqual(issues);
+        });
+
+        it.each([
+            [r.rejectReason, []],
+            ['invalid@', [
+                { issue: 'invalidly formatted', severity: 'warn', name: 'REJECT_TREATMENT', destinations: ['invalid@'] },
+                { issue: 'destination never validates', severity: 'warn', name: 'REJECT_TREATMENT' },
+            ]],
+        ])('the reject treatment %s should have the issues %o', async (REJECT_TREATMENT, issues) => {
+            expect(await validateConfiguration({ REJECT_TREATMENT })).toEqual(issues);
+        });
+
+        it('should validate the stored global configuration', async () => {
+            const MAP = new Map([['@DESTINATION', 'invalid'], ['@FORWARDING_POLICY', 'all']]);
+            expect(await validateConfiguration({ ...TEST, MAP })).toEqual([
+                { issue: 'invalidly formatted', severity: 'warn', key: '@DESTINATION', destinations: ['invalid'] },
+                { issue: 'destination never validates', severity: 'warn', key: '@DESTINATION' },
+            ]);
+        });
+
+        it('should not validate the stored global configuration if it is not used', async () => {
+            const MAP = new Map([['@DESTINATION', 'invalid']]);
+            const get = vi.spyOn(MAP, 'get');
+            expect(await validateConfiguration({ ...TEST, USE_STORED_ADDRESS_CONFIGURATION: 'false', MAP })).toEqual([]);
+            expect(get).not.toHaveBeenCalled();
+        });
+
+        it('should report every error but not validate configuration values if there are errors', async () => {
+            const issues = await validateConfiguration({
+                FORMAT_REJECT_SEPARATOR: ',',
+                FORMAT_VALID_EMAIL_ADDRESS_REGEXP: '[',
+                DESTINATION: 'invalid',
+            });
+            expect(issues.map(issue => issue.issue)).toEqual(
+                ['separators not all different', 'uncompilable regular expression']);
+        });
+    });
+
+    describe('console output level', () => {
+        it.each([
+            ['0', 0],
+            ['5', 5],
+            [' 3 ', 3],
+            [4, 4],
+            ['6', 2],
+            ['verbose', 2],
+            ['', 2],
+        ])('%o should be the level %i', (consoleOutputLevel, level) => {
+            expect(FIXED.consoleOutputLevel(consoleOutputLevel)).toBe(level);
+        });
+    });
+
+    describe('email', () => {
+        it.each([
+            [{ FORMAT_BACKUP_ADDRESS_SEPARATOR: ',' }],
+            [{ FORMAT_VALID_EMAIL_ADDRESS_REGEXP: '[' }],
+            [{ CUSTOM_HEADER: 'My-Header' }],
+        ])('user1@domain.com should not be routed with the configuration %o', async (configuration) => {
+            message.to = 'user1@domain.com';
+            message.forward = vi.fn();
+            const consoleOutput = vi.fn();
+            await expect(() => worker.email(message, { ...TEST, ...configuration, MAP: new Map(), consoleOutput }, context))
+                .rejects.toThrowError(expect.objectContaining({
+                    name: 'InvalidConfiguration',
+                    issues: [expect.objectContaining({ severity: 'error' })],
+                }));
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ severity: 'error' }), 'error', expect.anything());
+            expect(message.forward).not.toHaveBeenCalled();
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('user1@domain.com should be rejected if the stored global destination never validates', async () => {
+            message.to = 'user1@domain.com';
+            message.forward = vi.fn();
+            const consoleOutput = vi.fn();
+            const MAP = new Map([['@DESTINATION', 'invalid']]);
+            await worker.email(message, { ...TEST, MAP, consoleOutput }, context);
+            expect(message.forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(DEFAULTS.REJECT_TREATMENT);
+            expect(consoleOutput).toHaveBeenCalledWith(
+                { issue: 'destination never validates', severity: 'warn', key: '@DESTINATION' },
+                'warn', expect.anything());
+        });
+
+        it('user1@domain.com should be routed with the invalid console output level falling back to the default', async () => {
+            message.to = 'user1@domain.com';
+            message.forward = vi.fn();
+            const consoleOutput = vi.fn();
+            await worker.email(message, { ...TEST, CONSOLE_OUTPUT_LEVEL: 'verbose', MAP: new Map(), consoleOutput }, context);
+            expect(message.forward).toHaveBeenCalledWith(r.dest, expect.anything());
+            expect(consoleOutput).toHaveBeenCalledWith(
+                expect.objectContaining({ issue: 'invalid console output level' }),
+                'warn', { consoleOutputLevel: FIXED.consoleOutputLevel(DEFAULTS.CONSOLE_OUTPUT_LEVEL) });
+        });
+
+        it('user1@domain.com should load each stored global configuration value once', async () => {
+            message.to = 'user1@domain.com';
+            message.forward = vi.fn();
+            const MAP = new Map();
+            const get = vi.spyOn(MAP, 'get');
+            await worker.email(message, { ...TEST, MAP }, context);
+            const keys = get.mock.calls.map(call => call[0]);
+            expect(keys).toEqual(expect.arrayContaining(
+                FIXED.VALIDATED_GLOBAL_CONFIGURATION_NAMES.map(name => `@${name}`)));
+            expect(new Set(keys).size).toBe(keys.length);
+        });
+    });
+});